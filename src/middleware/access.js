@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import { canViewPost } from "../services/postAccess.js";
+
+// Access-policy middleware for post, comment and like routes. Anything
+// the user isn't allowed to see gets the same 404 as a missing record,
+// so private post IDs can't be probed. Must run after authenticate.
+
+const notFound = (res, message) =>
+  res.status(404).json({
+    success: false,
+    message,
+  });
+
+// Load the post whose ID is returned by getId(req) into req.post
+export const loadVisiblePost =
+  (getId = (req) => req.params.id) =>
+  async (req, res, next) => {
+    try {
+      const postId = getId(req);
+      const post = mongoose.isValidObjectId(postId)
+        ? await Post.findById(postId)
+        : null;
+
+      if (!post || !(await canViewPost(req.user, post))) {
+        return notFound(res, "Post not found");
+      }
+
+      req.post = post;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+// Load the comment named by req.params.id into req.comment, and its post
+// into req.post. With allowDeleted, comments in the trash are loaded too
+// (their "[deleted]" placeholders still anchor reply threads).
+const loadComment =
+  ({ allowDeleted }) =>
+  async (req, res, next) => {
+    try {
+      const comment = mongoose.isValidObjectId(req.params.id)
+        ? await Comment.findById(req.params.id)
+        : null;
+      const post =
+        comment && (allowDeleted || !comment.deletedAt)
+          ? await Post.findById(comment.post)
+          : null;
+
+      if (!post || !(await canViewPost(req.user, post))) {
+        return notFound(res, "Comment not found");
+      }
+
+      req.comment = comment;
+      req.post = post;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+export const loadVisibleComment = loadComment({ allowDeleted: false });
+
+// For reading a thread below a comment that may have been deleted
+export const loadVisibleThread = loadComment({ allowDeleted: true });
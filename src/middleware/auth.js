@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { touchSession } from "../services/sessionService.js";
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -18,6 +20,20 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens must belong to a session that hasn't been revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (
+      !session ||
+      !session.isActive() ||
+      session.user.toString() !== decoded.id
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has been revoked. Please log in again.",
+      });
+    }
+
     // Get user from token
     const user = await User.findById(decoded.id).select("-password");
 
@@ -28,8 +44,12 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Update last-seen for the session list (throttled)
+    await touchSession(session);
+
     // Attach user to request
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -47,3 +67,19 @@ export const authenticate = async (req, res, next) => {
     next(error);
   }
 };
+
+// Block unverified accounts from creating content when
+// REQUIRE_EMAIL_VERIFICATION is enabled. Must run after authenticate.
+export const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION !== "true" ||
+    req.user.emailVerified
+  ) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: "Please verify your email address to continue.",
+  });
+};
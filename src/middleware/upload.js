@@ -53,6 +53,20 @@ export const uploadToCloudinary = (buffer, folder = "posts") => {
   });
 };
 
+// Helper function to recover a public ID from a Cloudinary delivery URL,
+// e.g. .../image/upload/v123/posts/abc.jpg -> posts/abc
+export const getPublicIdFromUrl = (url) => {
+  const path = url ? url.split("/upload/")[1] : null;
+  if (!path) return null;
+
+  // Skip transformations and the version segment that precede the ID
+  const parts = path.split("/");
+  const versionIndex = parts.findIndex((part) => /^v\d+$/.test(part));
+  const idParts = versionIndex >= 0 ? parts.slice(versionIndex + 1) : parts;
+
+  return idParts.join("/").replace(/\.[^/.]+$/, "");
+};
+
 // Helper function to delete from Cloudinary
 export const deleteFromCloudinary = async (publicId) => {
   try {
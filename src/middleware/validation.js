@@ -1,4 +1,7 @@
 import { body, validationResult } from "express-validator";
+import { REACTION_TYPES } from "../models/Like.js";
+import { NOTIFICATION_TYPES } from "../models/Notification.js";
+import { USERNAME_PATTERN } from "../utils/mentions.js";
 
 // Validation rules for user registration
 export const registerValidation = [
@@ -14,6 +17,12 @@ export const registerValidation = [
     .withMessage("Last name is required")
     .isLength({ min: 2, max: 50 })
     .withMessage("Last name must be between 2 and 50 characters"),
+  body("username")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(USERNAME_PATTERN)
+    .withMessage("Username must be 3-30 letters, numbers or underscores"),
   body("email")
     .trim()
     .isEmail()
@@ -36,6 +45,166 @@ export const loginValidation = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+// Validation rules for refreshing an access token
+export const refreshValidation = [
+  body("refreshToken")
+    .isString()
+    .withMessage("Refresh token must be a string")
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+// Validation rules for requesting a password reset
+export const forgotPasswordValidation = [
+  body("email")
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address")
+    .normalizeEmail(),
+];
+
+// Validation rules for resetting a password
+export const resetPasswordValidation = [
+  body("token").notEmpty().withMessage("Reset token is required"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/\d/)
+    .withMessage("Password must contain at least one number"),
+];
+
+// Validation rules for verifying an email address
+export const verifyEmailValidation = [
+  body("token").notEmpty().withMessage("Verification token is required"),
+];
+
+// Validation rules for a two-factor code (TOTP or recovery code)
+export const twoFactorCodeValidation = [
+  body("code").trim().notEmpty().withMessage("Verification code is required"),
+];
+
+// Validation rules for completing a two-factor login
+export const twoFactorLoginValidation = [
+  body("challengeToken").notEmpty().withMessage("Challenge token is required"),
+  ...twoFactorCodeValidation,
+];
+
+// Validation rules for disabling two-factor authentication
+export const disableTwoFactorValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  ...twoFactorCodeValidation,
+];
+
+// Validation rules for updating the current user's profile
+export const updateProfileValidation = [
+  body("firstName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters"),
+  body("lastName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters"),
+  body("username")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(USERNAME_PATTERN)
+    .withMessage("Username must be 3-30 letters, numbers or underscores"),
+  body("bio")
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage("Bio must not exceed 300 characters"),
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Location must not exceed 100 characters"),
+  body("website")
+    .optional()
+    .trim()
+    .if(body("website").notEmpty())
+    .isURL({ protocols: ["http", "https"] })
+    .withMessage("Website must be a valid URL")
+    .isLength({ max: 200 })
+    .withMessage("Website must not exceed 200 characters"),
+];
+
+// Validation rules for changing the current user's password
+export const changePasswordValidation = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  body("newPassword")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/\d/)
+    .withMessage("Password must contain at least one number"),
+];
+
+// Validation rules for reacting to a post or comment
+export const reactionValidation = [
+  body("type")
+    .isIn(REACTION_TYPES)
+    .withMessage(`Reaction must be one of: ${REACTION_TYPES.join(", ")}`),
+];
+
+// Validation rules for bookmarking a post
+export const bookmarkValidation = [
+  body("collectionId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Collection ID must be valid"),
+];
+
+// Validation rules for creating or renaming a bookmark collection
+export const bookmarkCollectionValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Collection name is required")
+    .isLength({ max: 100 })
+    .withMessage("Collection name must not exceed 100 characters"),
+];
+
+// Validation rules for marking notifications as read ({ ids } or
+// { all: true })
+export const markNotificationsReadValidation = [
+  body("all").optional().isBoolean().withMessage("all must be a boolean"),
+  body("ids")
+    .if((value, { req }) => req.body.all !== true)
+    .isArray({ min: 1, max: 100 })
+    .withMessage("ids must be an array of 1 to 100 notification IDs"),
+  body("ids.*").isMongoId().withMessage("Notification ID must be valid"),
+];
+
+// Validation rules for notification preferences ({ type: enabled })
+export const notificationPreferencesValidation = [
+  body()
+    .custom(
+      (value) =>
+        value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.keys(value).length > 0 &&
+        Object.keys(value).every((type) => NOTIFICATION_TYPES.includes(type))
+    )
+    .withMessage(
+      `Preferences must map one of ${NOTIFICATION_TYPES.join(
+        ", "
+      )} to true or false`
+    ),
+  ...NOTIFICATION_TYPES.map((type) =>
+    body(type)
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage(`${type} must be true or false`)
+  ),
+];
+
 // Middleware to check validation results
 export const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// A post saved by a user, optionally filed in one of their collections
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // ("collection" is reserved by Mongoose)
+    bookmarkCollection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookmarkCollection",
+      default: null, // null = not in any collection
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound unique index: a post is saved at most once per user
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+// Cursor-paginated bookmark lists, all or per collection
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({
+  user: 1,
+  bookmarkCollection: 1,
+  createdAt: -1,
+  _id: -1,
+});
+// Cleanup when a post is deleted
+bookmarkSchema.index({ post: 1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A named folder of bookmarks, private to its owner
+const bookmarkCollectionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Collection name is required"],
+      trim: true,
+      maxlength: [100, "Collection name must not exceed 100 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Collection names are unique per user
+bookmarkCollectionSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const BookmarkCollection = mongoose.model(
+  "BookmarkCollection",
+  bookmarkCollectionSchema
+);
+
+export default BookmarkCollection;
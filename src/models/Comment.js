@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { reactionCountsDefinition } from "./Like.js";
+import User, { mentionsDefinition } from "./User.js";
 
 const commentSchema = new mongoose.Schema(
   {
@@ -8,6 +10,7 @@ const commentSchema = new mongoose.Schema(
       trim: true,
       maxlength: [1000, "Comment must not exceed 1000 characters"],
     },
+    mentions: mentionsDefinition,
     post: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Post",
@@ -23,6 +26,43 @@ const commentSchema = new mongoose.Schema(
       ref: "Comment",
       default: null, // null means it's a top-level comment, not a reply
     },
+    deletedAt: {
+      type: Date,
+      default: null, // Set while the comment is in the trash
+    },
+    editedAt: {
+      type: Date,
+      default: null, // Set when text changes; see Revision for history
+    },
+    // Materialized path: every comment above this one, root first
+    ancestors: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "Comment",
+      default: [],
+    },
+    depth: {
+      type: Number,
+      default: 0, // 0 for top-level comments, ancestors.length otherwise
+    },
+    // Denormalized counters, kept in sync by the reaction and reply routes
+    likeCount: {
+      type: Number,
+      default: 0, // Total reactions of all types
+      min: 0,
+    },
+    reactionCounts: reactionCountsDefinition,
+    replyCount: {
+      type: Number,
+      default: 0, // Direct replies only
+      min: 0,
+    },
+    // Live comments anywhere below this one. While it's above zero, a
+    // deleted comment stays in its thread as a placeholder.
+    liveDescendantCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   {
     timestamps: true,
@@ -30,9 +70,21 @@ const commentSchema = new mongoose.Schema(
 );
 
 // Indexes for performance
-commentSchema.index({ post: 1, createdAt: 1 });
-commentSchema.index({ parent: 1, createdAt: 1 });
+commentSchema.index({ post: 1, parent: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ parent: 1, createdAt: 1, _id: 1 });
 commentSchema.index({ author: 1 });
+commentSchema.index({ ancestors: 1 }); // Whole-subtree lookups
+commentSchema.index({ author: 1, deletedAt: -1 }); // Trash listing and purge
+commentSchema.index({ deletedAt: 1 });
+commentSchema.index({ "mentions.user": 1, createdAt: -1, _id: -1 });
+commentSchema.index({ text: "text" }); // Search
+
+// Re-resolve mentions whenever the text changes
+commentSchema.pre("save", async function () {
+  if (this.isModified("text")) {
+    this.mentions = await User.resolveMentions(this.text);
+  }
+});
 
 const Comment = mongoose.model("Comment", commentSchema);
 
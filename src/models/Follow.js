@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound unique index to prevent duplicate follows. It also covers the
+// "who do I follow" lookup behind the following feed.
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Cursor-paginated follower and following lists
+followSchema.index({ following: 1, createdAt: -1, _id: -1 });
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+
+export default Follow;
@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 
+// A "like" is one of several reaction types; every user has at most one
+// reaction per post or comment
+export const REACTION_TYPES = ["like", "love", "haha", "wow", "sad", "angry"];
+
+// Per-type reaction counters embedded in posts and comments
+export const reactionCountsDefinition = Object.fromEntries(
+  REACTION_TYPES.map((type) => [type, { type: Number, default: 0, min: 0 }])
+);
+
 const likeSchema = new mongoose.Schema(
   {
     user: {
@@ -17,15 +26,20 @@ const likeSchema = new mongoose.Schema(
       required: true,
       refPath: "targetType", // Dynamic reference based on targetType
     },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      default: "like",
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Compound unique index to prevent duplicate likes
+// Compound unique index: one reaction per user and target
 likeSchema.index({ user: 1, targetType: 1, targetId: 1 }, { unique: true });
-likeSchema.index({ targetType: 1, targetId: 1 });
+likeSchema.index({ targetType: 1, targetId: 1, createdAt: -1, _id: -1 });
 
 const Like = mongoose.model("Like", likeSchema);
 
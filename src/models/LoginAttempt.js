@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Failed logins for an email address with no account behind it. Tracked
+// like the counters on User so unknown emails lock out the same way and
+// the lockout response doesn't reveal which emails are registered.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Forget an address a day after its last failed attempt
+loginAttemptSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
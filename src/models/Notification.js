@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "reaction", // Someone reacted to your post or comment
+  "comment", // Someone commented on your post
+  "reply", // Someone replied to your comment
+  "mention", // Someone mentioned you in a post or comment
+  "repost", // Someone reposted or quoted your post
+  "follow", // Someone followed you
+];
+
+// Most recent actors kept on a grouped notification; actorCount keeps
+// counting past it
+export const MAX_STORED_ACTORS = 50;
+
+// An in-app notification. Related events are grouped while unread: every
+// like of the same post adds its actor to one "reaction" notification
+// ("Alice and 4 others reacted to your post") instead of creating a new
+// one. Reading a notification closes its group, so the next event starts
+// a new one.
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["Post", "Comment", "User"],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: "targetType", // Dynamic reference based on targetType
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null, // The post to open, for everything but follows
+    },
+    groupKey: {
+      type: String,
+      required: true, // type:targetType:targetId
+    },
+    actors: {
+      type: [mongoose.Schema.Types.ObjectId], // Most recent first
+      ref: "User",
+      default: [],
+    },
+    actorCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    latestAt: {
+      type: Date,
+      default: Date.now, // Time of the most recent event in the group
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open (unread) group per recipient and key
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+// Cursor-paginated list by latest activity, and unread counts
+notificationSchema.index({ recipient: 1, latestAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+// Notifications expire after 90 days without new activity
+notificationSchema.index(
+  { latestAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -1,10 +1,20 @@
 import mongoose from "mongoose";
+import { reactionCountsDefinition } from "./Like.js";
+import User, { mentionsDefinition } from "./User.js";
+import { extractHashtags } from "../utils/hashtags.js";
 
 const postSchema = new mongoose.Schema(
   {
     content: {
       type: String,
-      required: [true, "Post content is required"],
+      // Empty only for plain reposts; a quote post's content is its quote
+      required: [
+        function () {
+          return !this.repostOf;
+        },
+        "Post content is required",
+      ],
+      default: "",
       trim: true,
       maxlength: [5000, "Post content must not exceed 5000 characters"],
     },
@@ -12,16 +22,61 @@ const postSchema = new mongoose.Schema(
       type: String, // Cloudinary URL
       default: null,
     },
+    imagePublicId: {
+      type: String, // Cloudinary public ID, used to delete the image
+      default: null,
+    },
+    tags: {
+      type: [String], // Normalized hashtags from content, kept in sync on save
+      default: [],
+    },
+    mentions: mentionsDefinition,
     privacy: {
       type: String,
-      enum: ["public", "private"],
+      enum: ["public", "followers", "custom", "private"],
       default: "public",
     },
+    audience: {
+      type: [mongoose.Schema.Types.ObjectId], // Viewers of a "custom" post
+      ref: "User",
+      default: [],
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    repostOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null, // The shared post, for reposts and quote posts
+    },
+    deletedAt: {
+      type: Date,
+      default: null, // Set while the post is in the trash
+    },
+    editedAt: {
+      type: Date,
+      default: null, // Set when content changes; see Revision for history
+    },
+    // Denormalized counters, kept in sync by the reaction, comment and repost
+    // routes (npm run reconcile:counters rebuilds them)
+    likeCount: {
+      type: Number,
+      default: 0, // Total reactions of all types
+      min: 0,
+    },
+    reactionCounts: reactionCountsDefinition,
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    repostCount: {
+      type: Number,
+      default: 0, // Live reposts and quote posts of this post
+      min: 0,
+    },
   },
   {
     timestamps: true,
@@ -31,16 +86,31 @@ const postSchema = new mongoose.Schema(
 );
 
 // Indexes for performance
-postSchema.index({ author: 1, createdAt: -1 });
-postSchema.index({ createdAt: -1 });
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+postSchema.index({ createdAt: -1, _id: -1 });
 postSchema.index({ privacy: 1, createdAt: -1 });
+postSchema.index({ audience: 1, createdAt: -1 });
+postSchema.index({ author: 1, deletedAt: -1 }); // Trash listing and purge
+postSchema.index({ deletedAt: 1 });
+postSchema.index({ repostOf: 1 });
+postSchema.index({ tags: 1, createdAt: -1, _id: -1 }); // Tag pages
+postSchema.index({ "mentions.user": 1, createdAt: -1, _id: -1 });
+postSchema.index({ content: "text" }); // Search
+// One plain repost per user and post
+postSchema.index(
+  { author: 1, repostOf: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { repostOf: { $type: "objectId" }, content: "" },
+  }
+);
 
-// Virtual for comment count
-postSchema.virtual("commentCount", {
-  ref: "Comment",
-  localField: "_id",
-  foreignField: "post",
-  count: true,
+// Re-extract hashtags and mentions whenever the content changes
+postSchema.pre("save", async function () {
+  if (this.isModified("content")) {
+    this.tags = extractHashtags(this.content);
+    this.mentions = await User.resolveMentions(this.content);
+  }
 });
 
 const Post = mongoose.model("Post", postSchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// A previous version of a post's content or a comment's text, saved
+// whenever it is edited
+const revisionSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["Post", "Comment"],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: "targetType", // Dynamic reference based on targetType
+    },
+    content: {
+      type: String,
+      required: true, // The content as it was before the edit
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for performance
+revisionSchema.index({ targetType: 1, targetId: 1, createdAt: -1, _id: -1 });
+
+const Revision = mongoose.model("Revision", revisionSchema);
+
+export default Revision;
@@ -1,5 +1,36 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+import {
+  USERNAME_PATTERN,
+  findMentions,
+  slugifyUsername,
+} from "../utils/mentions.js";
+import { NOTIFICATION_TYPES } from "./Notification.js";
+
+// User fields populated on posts, comments, likes and notifications. Shown
+// to anyone who can see the item, so never the email address.
+export const PUBLIC_AUTHOR_FIELDS = "firstName lastName username avatar";
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Resolved @mentions embedded in posts and comments: who was mentioned and
+// where, as string offsets of "@handle" in the text
+export const mentionsDefinition = {
+  type: [
+    new mongoose.Schema(
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        username: String, // As resolved when the text was saved
+        start: Number,
+        end: Number,
+      },
+      { _id: false }
+    ),
+  ],
+  default: [],
+};
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,6 +48,17 @@ const userSchema = new mongoose.Schema(
       minlength: [2, "Last name must be at least 2 characters"],
       maxlength: [50, "Last name must not exceed 50 characters"],
     },
+    username: {
+      type: String, // Unique @handle; generated from the name if not chosen
+      unique: true,
+      sparse: true, // Accounts from before handles existed may lack one
+      lowercase: true,
+      trim: true,
+      match: [
+        USERNAME_PATTERN,
+        "Username must be 3-30 letters, numbers or underscores",
+      ],
+    },
     email: {
       type: String,
       required: [true, "Email is required"],
@@ -28,18 +70,119 @@ const userSchema = new mongoose.Schema(
         "Please provide a valid email address",
       ],
     },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Bio must not exceed 300 characters"],
+      default: "",
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Location must not exceed 100 characters"],
+      default: "",
+    },
+    website: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Website must not exceed 200 characters"],
+      default: "",
+    },
+    avatar: {
+      type: String, // Cloudinary URL
+      default: null,
+    },
+    avatarPublicId: {
+      type: String, // Cloudinary public ID, used to delete the old avatar
+      default: null,
+      select: false,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't return password by default
     },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false, // Set during enrollment until the first code is confirmed
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // Hashes of unused recovery codes
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    twoFactorChallengeHash: {
+      type: String, // Hash of the open 2FA login challenge's nonce
+      default: null,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    mutedNotificationTypes: {
+      type: [{ type: String, enum: NOTIFICATION_TYPES }],
+      default: [],
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Give new accounts a username if they didn't choose one
+userSchema.pre("validate", async function () {
+  if (this.isNew && !this.username) {
+    this.username = await this.constructor.generateUsername(
+      this.firstName,
+      this.lastName
+    );
+  }
+});
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   // Only hash if password is modified
@@ -65,13 +208,88 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Create a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function () {
+  const token = generateRandomToken(32);
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = generateRandomToken(32);
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_MS
+  );
+  return token;
+};
+
+// Find a free username based on a person's name, e.g. "janedoe" or
+// "janedoe4821" if that is taken
+userSchema.statics.generateUsername = async function (firstName, lastName) {
+  let base = slugifyUsername(`${firstName || ""}${lastName || ""}`);
+  if (base.length < 3) base = `user${base}`;
+
+  if (!(await this.exists({ username: base }))) return base;
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = `${base}${Math.floor(1000 + Math.random() * 9000)}`;
+    if (!(await this.exists({ username: candidate }))) return candidate;
+  }
+  return `${base}${Date.now().toString(36)}`;
+};
+
+// Resolve the @mentions in a text to users, as { user, username, start,
+// end } ranges. Handles that don't belong to anyone are skipped.
+userSchema.statics.resolveMentions = async function (text) {
+  const mentions = findMentions(text);
+  if (mentions.length === 0) return [];
+
+  const users = await this.find({
+    username: { $in: [...new Set(mentions.map((m) => m.username))] },
+  })
+    .select("username")
+    .lean();
+  const idByUsername = new Map(users.map((user) => [user.username, user._id]));
+
+  return mentions
+    .filter((mention) => idByUsername.has(mention.username))
+    .map((mention) => ({
+      user: idByUsername.get(mention.username),
+      ...mention,
+    }));
+};
+
 // Remove password from JSON response
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordResetTokenHash;
+  delete obj.passwordResetExpires;
+  delete obj.emailVerificationTokenHash;
+  delete obj.emailVerificationExpires;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
+  delete obj.twoFactorRecoveryCodes;
+  delete obj.twoFactorLastUsedStep;
+  delete obj.twoFactorChallengeHash;
+  delete obj.failedLoginAttempts;
+  delete obj.lockUntil;
+  delete obj.avatarPublicId;
   return obj;
 };
 
+// Indexes for performance
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+// People search; a handle match ranks above a name match
+userSchema.index(
+  { username: "text", firstName: "text", lastName: "text" },
+  { weights: { username: 3, firstName: 2, lastName: 2 } }
+);
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
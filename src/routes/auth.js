@@ -1,15 +1,58 @@
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
-import { generateToken } from "../utils/jwt.js";
+import Session from "../models/Session.js";
+import {
+  createSession,
+  rotateSession,
+  getClientInfo,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/sessionService.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../services/emails.js";
+import { verifySecondFactor } from "../services/twoFactorService.js";
+import {
+  getLockRemainingMs,
+  getUnknownEmailLockRemainingMs,
+  registerFailedLogin,
+  registerFailedUnknownLogin,
+  resetFailedLogins,
+  compareDummyPassword,
+  sendLockedResponse,
+} from "../services/loginProtection.js";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+import { generateChallengeToken, verifyChallengeToken } from "../utils/jwt.js";
 import {
   registerValidation,
   loginValidation,
+  refreshValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
+  twoFactorLoginValidation,
   validate,
 } from "../middleware/validation.js";
 import { authLimiter } from "../middleware/rateLimiter.js";
+import { authenticate } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// User fields returned after registration or login
+const formatAuthUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  createdAt: user.createdAt,
+});
+
 // Register a new user
 router.post(
   "/register",
@@ -18,7 +61,7 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const { firstName, lastName, email, password } = req.body;
+      const { firstName, lastName, username, email, password } = req.body;
 
       // Check if user already exists
       const existingUser = await User.findOne({ email });
@@ -29,32 +72,46 @@ router.post(
         });
       }
 
-      // Create new user
+      if (username && (await User.exists({ username }))) {
+        return res.status(400).json({
+          success: false,
+          message: "Username is already taken",
+        });
+      }
+
+      // Create new user (a username is generated if none was chosen)
       const user = await User.create({
         firstName,
         lastName,
+        username,
         email,
         password,
       });
 
-      // Generate JWT token for auto-login
-      const token = generateToken({
-        id: user._id,
-        email: user.email,
-      });
+      // Send the verification link; the account works meanwhile, subject
+      // to the REQUIRE_EMAIL_VERIFICATION policy
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+
+      // Start a session for auto-login
+      const { token, refreshToken } = await createSession(
+        user,
+        getClientInfo(req)
+      );
 
       res.status(201).json({
         success: true,
         message: "Registration successful",
         data: {
           token,
-          user: {
-            id: user._id,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            email: user.email,
-            createdAt: user.createdAt,
-          },
+          refreshToken,
+          user: formatAuthUser(user),
         },
       });
     } catch (error) {
@@ -73,43 +130,335 @@ router.post(
     try {
       const { email, password } = req.body;
 
-      // Find user and include password field
-      const user = await User.findOne({ email }).select("+password");
-      if (!user) {
+      // Find user and include password and lockout fields
+      const user = await User.findOne({ email }).select(
+        "+password +failedLoginAttempts +lockUntil"
+      );
+
+      // Refuse locked accounts before checking the password. Unknown
+      // emails lock out too, so a 423 doesn't reveal who is registered.
+      const lockRemainingMs = user
+        ? getLockRemainingMs(user)
+        : await getUnknownEmailLockRemainingMs(email);
+      if (lockRemainingMs > 0) {
+        return sendLockedResponse(res, lockRemainingMs);
+      }
+
+      // Check password (against a dummy hash if there is no such user)
+      const isPasswordValid = user
+        ? await user.comparePassword(password)
+        : await compareDummyPassword(password);
+      if (!isPasswordValid) {
+        const lockMs = user
+          ? await registerFailedLogin(user._id)
+          : await registerFailedUnknownLogin(email);
+        if (lockMs > 0) {
+          return sendLockedResponse(res, lockMs);
+        }
+
         return res.status(401).json({
           success: false,
           message: "Invalid email or password",
         });
       }
 
-      // Check password
-      const isPasswordValid = await user.comparePassword(password);
-      if (!isPasswordValid) {
+      if (user.failedLoginAttempts > 0) {
+        await resetFailedLogins(user._id);
+      }
+
+      // With 2FA on, the password only earns a challenge token. Storing
+      // its nonce makes it single-use and replaces any earlier challenge.
+      if (user.twoFactorEnabled) {
+        const nonce = generateRandomToken();
+        await User.updateOne(
+          { _id: user._id },
+          { twoFactorChallengeHash: hashToken(nonce) }
+        );
+
+        return res.status(200).json({
+          success: true,
+          message: "Two-factor authentication required",
+          data: {
+            twoFactorRequired: true,
+            challengeToken: generateChallengeToken(user._id, nonce),
+          },
+        });
+      }
+
+      // Start a new session
+      const { token, refreshToken } = await createSession(
+        user,
+        getClientInfo(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Login successful",
+        data: {
+          token,
+          refreshToken,
+          user: formatAuthUser(user),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Complete a 2FA login with a TOTP or recovery code
+router.post(
+  "/login/2fa",
+  authLimiter,
+  twoFactorLoginValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { userId, nonce } = verifyChallengeToken(req.body.challengeToken);
+      const challengeHash = hashToken(nonce);
+
+      const user = await User.findById(userId).select(
+        "+twoFactorSecret +lockUntil +twoFactorChallengeHash"
+      );
+      if (!user) {
         return res.status(401).json({
           success: false,
-          message: "Invalid email or password",
+          message: "Invalid verification code",
         });
       }
 
-      // Generate JWT token
-      const token = generateToken({
-        id: user._id,
-        email: user.email,
-      });
+      // Used or superseded by a newer login
+      if (user.twoFactorChallengeHash !== challengeHash) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired challenge token",
+        });
+      }
+
+      // Failed codes count towards the same lockout as failed passwords
+      const lockRemainingMs = getLockRemainingMs(user);
+      if (lockRemainingMs > 0) {
+        return sendLockedResponse(res, lockRemainingMs);
+      }
+
+      if (!(await verifySecondFactor(user, req.body.code))) {
+        const lockMs = await registerFailedLogin(user._id);
+        if (lockMs > 0) {
+          return sendLockedResponse(res, lockMs);
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      // Consume the challenge atomically so it can only be used once
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, twoFactorChallengeHash: challengeHash },
+        { twoFactorChallengeHash: null }
+      );
+      if (modifiedCount === 0) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired challenge token",
+        });
+      }
+
+      await resetFailedLogins(user._id);
+
+      const { token, refreshToken } = await createSession(
+        user,
+        getClientInfo(req)
+      );
 
       res.status(200).json({
         success: true,
         message: "Login successful",
         data: {
           token,
-          user: {
-            id: user._id,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            email: user.email,
-            createdAt: user.createdAt,
+          refreshToken,
+          user: formatAuthUser(user),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post(
+  "/refresh",
+  authLimiter,
+  refreshValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { token, refreshToken } = await rotateSession(
+        req.body.refreshToken,
+        getClientInfo(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Token refreshed",
+        data: {
+          token,
+          refreshToken,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Log out of the current session
+router.post("/logout", authenticate, async (req, res, next) => {
+  try {
+    await revokeSession(req.authSession._id, "logout");
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out of every session for the current user
+router.post("/logout-all", authenticate, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all sessions",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset link
+router.post(
+  "/forgot-password",
+  authLimiter,
+  forgotPasswordValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        const token = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        try {
+          await sendPasswordResetEmail(user, token);
+        } catch (error) {
+          // Don't reveal delivery failures (and so account existence)
+          console.error("Error sending password reset email:", error);
+        }
+      }
+
+      // Same response whether or not the account exists
+      res.status(200).json({
+        success: true,
+        message:
+          "If an account with that email exists, a password reset link has been sent.",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Set a new password using a reset token
+router.post(
+  "/reset-password",
+  authLimiter,
+  resetPasswordValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      // Consume the token atomically so it can only be used once, and lift
+      // any lockout: the owner has just proven they control the account
+      const user = await User.findOneAndUpdate(
+        {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpires: { $gt: new Date() },
+        },
+        {
+          failedLoginAttempts: 0,
+          lockUntil: null,
+          $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 },
+        },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      user.password = password;
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      // Log out everywhere, including whoever knew the old password
+      await revokeAllSessions(user._id, { reason: "password_reset" });
+
+      res.status(200).json({
+        success: true,
+        message:
+          "Password reset successful. Please log in with your new password.",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Confirm an email address using a verification token
+router.post(
+  "/verify-email",
+  authLimiter,
+  verifyEmailValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findOneAndUpdate(
+        {
+          emailVerificationTokenHash: hashToken(req.body.token),
+          emailVerificationExpires: { $gt: new Date() },
+        },
+        {
+          emailVerified: true,
+          $unset: {
+            emailVerificationTokenHash: 1,
+            emailVerificationExpires: 1,
           },
         },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired verification token",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Email verified successfully",
       });
     } catch (error) {
       next(error);
@@ -117,4 +466,84 @@ router.post(
   }
 );
 
+// Send a new verification link to the current user
+router.post(
+  "/resend-verification",
+  authLimiter,
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const user = req.user;
+
+      if (user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Email is already verified",
+        });
+      }
+
+      const token = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      await sendVerificationEmail(user, token);
+
+      res.status(200).json({
+        success: true,
+        message: "Verification email sent",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List the devices the current user is logged in on
+router.get("/sessions", authenticate, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.toString() === req.authSession._id.toString(),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete("/sessions/:id", authenticate, async (req, res, next) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({
+          _id: req.params.id,
+          user: req.user._id,
+          revokedAt: null,
+        })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await revokeSession(session._id, "logout");
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
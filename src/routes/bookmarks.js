@@ -0,0 +1,121 @@
+import express from "express";
+import { authenticate } from "../middleware/auth.js";
+import {
+  bookmarkCollectionValidation,
+  validate,
+} from "../middleware/validation.js";
+import {
+  listBookmarks,
+  listCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+} from "../services/bookmarkService.js";
+import { withPostInfo } from "../services/feedService.js";
+import { parseLimit } from "../utils/pagination.js";
+
+// The current user's saved posts and bookmark collections, mounted at
+// /api/users/me/bookmarks. Saving and unsaving a post happens on
+// /api/posts/:id/bookmark.
+const router = express.Router();
+
+// List saved posts (?collection=<id>|none, cursor-paginated)
+router.get("/", authenticate, async (req, res, next) => {
+  try {
+    const { bookmarks, nextCursor, hasMore } = await listBookmarks(
+      req.user._id,
+      {
+        collection: req.query.collection,
+        limit: parseLimit(req.query.limit),
+        cursor: req.query.cursor,
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: await withPostInfo(bookmarks, req.user._id),
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List collections
+router.get("/collections", authenticate, async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await listCollections(req.user._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a collection
+router.post(
+  "/collections",
+  authenticate,
+  bookmarkCollectionValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const collection = await createCollection(req.user._id, req.body.name);
+
+      res.status(201).json({
+        success: true,
+        message: "Collection created successfully",
+        data: collection,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Rename a collection
+router.patch(
+  "/collections/:collectionId",
+  authenticate,
+  bookmarkCollectionValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const collection = await renameCollection(
+        req.user._id,
+        req.params.collectionId,
+        req.body.name
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Collection updated successfully",
+        data: collection,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a collection (its posts stay saved, unfiled)
+router.delete(
+  "/collections/:collectionId",
+  authenticate,
+  async (req, res, next) => {
+    try {
+      await deleteCollection(req.user._id, req.params.collectionId);
+
+      res.status(200).json({
+        success: true,
+        message: "Collection deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,9 +1,31 @@
 import express from "express";
+import mongoose from "mongoose";
 import Comment from "../models/Comment.js";
-import Post from "../models/Post.js";
-import Like from "../models/Like.js";
-import { authenticate } from "../middleware/auth.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { authenticate, requireVerifiedEmail } from "../middleware/auth.js";
 import { body, validationResult } from "express-validator";
+import {
+  loadVisiblePost,
+  loadVisibleComment,
+  loadVisibleThread,
+} from "../middleware/access.js";
+import {
+  listPostComments,
+  listReplies,
+  adjustCommentCount,
+  adjustReplyCount,
+  adjustLiveDescendantCount,
+  getMaxCommentDepth,
+} from "../services/commentService.js";
+import { parseLimit } from "../utils/pagination.js";
+import { createReactionRouter } from "./reactions.js";
+import { softDeleteComment, restoreComment } from "../services/trashService.js";
+import { recordRevision, listRevisions } from "../services/revisionService.js";
+import {
+  notifyComment,
+  notifyReply,
+  notifyMentions,
+} from "../services/notificationService.js";
 
 const router = express.Router();
 
@@ -18,131 +40,120 @@ const validateComment = [
 ];
 
 // Create a comment on a post
-router.post("/", authenticate, validateComment, async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array().map((err) => ({
-          field: err.path,
-          message: err.msg,
-        })),
-      });
-    }
+router.post(
+  "/",
+  authenticate,
+  requireVerifiedEmail,
+  validateComment,
+  loadVisiblePost((req) => req.body.postId),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((err) => ({
+            field: err.path,
+            message: err.msg,
+          })),
+        });
+      }
 
-    const { text, postId } = req.body;
+      const { text } = req.body;
 
-    // Check if post exists
-    const post = await Post.findById(postId);
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: "Post not found",
+      // Create comment
+      const comment = await Comment.create({
+        text,
+        post: req.post._id,
+        author: req.user._id,
+        parent: null,
       });
-    }
+      await adjustCommentCount(req.post._id, 1);
 
-    // Create comment
-    const comment = await Comment.create({
-      text,
-      post: postId,
-      author: req.user._id,
-      parent: null,
-    });
+      await notifyComment(req.user._id, req.post);
+      await notifyMentions(req.user._id, {
+        post: req.post,
+        comment,
+        mentions: comment.mentions,
+      });
 
-    await comment.populate("author", "firstName lastName email");
+      await comment.populate("author", PUBLIC_AUTHOR_FIELDS);
 
-    res.status(201).json({
-      success: true,
-      message: "Comment created successfully",
-      data: comment,
-    });
-  } catch (error) {
-    next(error);
+      res.status(201).json({
+        success: true,
+        message: "Comment created successfully",
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Get comments for a post (with nested replies)
-router.get("/:postId", authenticate, async (req, res, next) => {
-  try {
-    const { postId } = req.params;
-
-    // Get all top-level comments (parent is null)
-    const comments = await Comment.find({
-      post: postId,
-      parent: null,
-    })
-      .sort({ createdAt: 1 })
-      .populate("author", "firstName lastName email")
-      .lean();
-
-    // Get replies for each comment
-    const commentsWithReplies = await Promise.all(
-      comments.map(async (comment) => {
-        const replies = await Comment.find({
-          parent: comment._id,
-        })
-          .sort({ createdAt: 1 })
-          .populate("author", "firstName lastName email")
-          .lean();
-
-        // Get like info for replies
-        const repliesWithLikes = await Promise.all(
-          replies.map(async (reply) => {
-            const likeCount = await Like.countDocuments({
-              targetType: "Comment",
-              targetId: reply._id,
-            });
-
-            const userLiked = await Like.exists({
-              targetType: "Comment",
-              targetId: reply._id,
-              user: req.user._id,
-            });
-
-            return {
-              ...reply,
-              likeCount,
-              isLiked: !!userLiked,
-            };
-          })
-        );
-
-        // Get like info for comment
-        const likeCount = await Like.countDocuments({
-          targetType: "Comment",
-          targetId: comment._id,
-        });
-
-        const userLiked = await Like.exists({
-          targetType: "Comment",
-          targetId: comment._id,
-          user: req.user._id,
-        });
-
-        return {
-          ...comment,
-          likeCount,
-          isLiked: !!userLiked,
-          replies: repliesWithLikes,
-        };
-      })
-    );
+router.get(
+  "/:postId",
+  authenticate,
+  loadVisiblePost((req) => req.params.postId),
+  async (req, res, next) => {
+    try {
+      // Get a page of top-level comments with reply previews
+      const { comments, nextCursor, hasMore } = await listPostComments(
+        req.post._id,
+        req.user._id,
+        {
+          limit: parseLimit(req.query.limit, { defaultLimit: 20 }),
+          cursor: req.query.cursor,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: comments,
+        nextCursor,
+        hasMore,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    res.status(200).json({
-      success: true,
-      data: commentsWithReplies,
-    });
-  } catch (error) {
-    next(error);
+// Get replies to a comment (cursor-paginated, oldest first)
+router.get(
+  "/:id/replies",
+  authenticate,
+  loadVisibleThread,
+  async (req, res, next) => {
+    try {
+      const { replies, nextCursor, hasMore } = await listReplies(
+        req.comment._id,
+        req.user._id,
+        {
+          limit: parseLimit(req.query.limit, { defaultLimit: 20 }),
+          cursor: req.query.cursor,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: replies,
+        nextCursor,
+        hasMore,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Reply to a comment
 router.post(
   "/:id/reply",
   authenticate,
+  requireVerifiedEmail,
   validateComment,
+  loadVisibleComment,
   async (req, res, next) => {
     try {
       const errors = validationResult(req);
@@ -157,26 +168,40 @@ router.post(
       }
 
       const { text } = req.body;
-      const parentCommentId = req.params.id;
+      const parent = req.comment;
 
-      // Check if parent comment exists
-      const parentComment = await Comment.findById(parentCommentId);
-      if (!parentComment) {
-        return res.status(404).json({
+      // Older replies may predate the materialized path
+      const parentDepth = parent.parent ? Math.max(parent.depth, 1) : 0;
+      if (parentDepth >= getMaxCommentDepth()) {
+        return res.status(400).json({
           success: false,
-          message: "Parent comment not found",
+          message: "Maximum reply depth reached",
         });
       }
 
       // Create reply
       const reply = await Comment.create({
         text,
-        post: parentComment.post,
+        post: req.post._id,
         author: req.user._id,
-        parent: parentCommentId,
+        parent: parent._id,
+        ancestors: [...parent.ancestors, parent._id],
+        depth: parentDepth + 1,
+      });
+      await Promise.all([
+        adjustCommentCount(req.post._id, 1),
+        adjustReplyCount(parent._id, 1),
+        adjustLiveDescendantCount(reply.ancestors, 1),
+      ]);
+
+      await notifyReply(req.user._id, parent, req.post);
+      await notifyMentions(req.user._id, {
+        post: req.post,
+        comment: reply,
+        mentions: reply.mentions,
       });
 
-      await reply.populate("author", "firstName lastName email");
+      await reply.populate("author", PUBLIC_AUTHOR_FIELDS);
 
       res.status(201).json({
         success: true,
@@ -189,124 +214,169 @@ router.post(
   }
 );
 
-// Toggle like on a comment
-router.post("/:id/like", authenticate, async (req, res, next) => {
-  try {
-    const comment = await Comment.findById(req.params.id);
+// Edit a comment
+router.put(
+  "/:id",
+  authenticate,
+  validateComment,
+  loadVisibleComment,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((err) => ({
+            field: err.path,
+            message: err.msg,
+          })),
+        });
+      }
 
-    if (!comment) {
-      return res.status(404).json({
-        success: false,
-        message: "Comment not found",
-      });
-    }
+      const comment = req.comment;
 
-    // Check if user already liked the comment
-    const existingLike = await Like.findOne({
-      user: req.user._id,
-      targetType: "Comment",
-      targetId: req.params.id,
-    });
+      // Check if user is the author
+      if (comment.author.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not authorized to edit this comment",
+        });
+      }
 
-    if (existingLike) {
-      // Unlike
-      await Like.findByIdAndDelete(existingLike._id);
-      const likeCount = await Like.countDocuments({
-        targetType: "Comment",
-        targetId: req.params.id,
-      });
+      const previousText = comment.text;
+      if (req.body.text !== previousText) {
+        const previousMentions = [...comment.mentions];
+        comment.text = req.body.text;
+        comment.editedAt = new Date();
+        await comment.save();
+
+        // Only users the edit newly mentions hear about it
+        await notifyMentions(req.user._id, {
+          post: req.post,
+          comment,
+          mentions: comment.mentions,
+          previousMentions,
+        });
 
-      return res.status(200).json({
-        success: true,
-        message: "Comment unliked",
-        data: {
-          isLiked: false,
-          likeCount,
-        },
-      });
-    } else {
-      // Like
-      await Like.create({
-        user: req.user._id,
-        targetType: "Comment",
-        targetId: req.params.id,
-      });
+        await recordRevision(
+          "Comment",
+          comment._id,
+          previousText,
+          req.user._id
+        );
+      }
 
-      const likeCount = await Like.countDocuments({
-        targetType: "Comment",
-        targetId: req.params.id,
+      await comment.populate("author", PUBLIC_AUTHOR_FIELDS);
+
+      res.status(200).json({
+        success: true,
+        message: "Comment updated successfully",
+        data: comment,
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      return res.status(200).json({
+// Get the edit history of a comment (previous versions, newest first)
+router.get(
+  "/:id/history",
+  authenticate,
+  loadVisibleComment,
+  async (req, res, next) => {
+    try {
+      const { revisions, nextCursor, hasMore } = await listRevisions(
+        "Comment",
+        req.comment._id,
+        {
+          limit: parseLimit(req.query.limit, { defaultLimit: 20 }),
+          cursor: req.query.cursor,
+        }
+      );
+
+      res.status(200).json({
         success: true,
-        message: "Comment liked",
         data: {
-          isLiked: true,
-          likeCount,
+          current: {
+            text: req.comment.text,
+            editedAt: req.comment.editedAt,
+          },
+          revisions,
         },
+        nextCursor,
+        hasMore,
       });
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    next(error);
   }
-});
+);
 
-// Get users who liked a comment
-router.get("/:id/likes", authenticate, async (req, res, next) => {
-  try {
-    const likes = await Like.find({
-      targetType: "Comment",
-      targetId: req.params.id,
-    })
-      .populate("user", "firstName lastName email")
-      .sort({ createdAt: -1 });
+// Likes and reactions: POST/PUT/DELETE /:id/like, PUT/DELETE
+// /:id/reaction and GET /:id/likes
+router.use(
+  "/:id",
+  createReactionRouter({
+    targetType: "Comment",
+    loadTarget: loadVisibleComment,
+    getTarget: (req) => req.comment,
+  })
+);
 
-    res.status(200).json({
-      success: true,
-      data: likes.map((like) => ({
-        user: like.user,
-        likedAt: like.createdAt,
-      })),
-    });
-  } catch (error) {
-    next(error);
+// Move a comment to the trash
+router.delete(
+  "/:id",
+  authenticate,
+  loadVisibleComment,
+  async (req, res, next) => {
+    try {
+      const comment = req.comment;
+
+      // Check if user is the author
+      if (comment.author.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not authorized to delete this comment",
+        });
+      }
+
+      // Soft delete; replies stay visible under a "[deleted]" placeholder
+      await softDeleteComment(comment);
+
+      res.status(200).json({
+        success: true,
+        message: "Comment moved to trash",
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-// Delete a comment
-router.delete("/:id", authenticate, async (req, res, next) => {
+// Restore a comment from the trash
+router.post("/:id/restore", authenticate, async (req, res, next) => {
   try {
-    const comment = await Comment.findById(req.params.id);
+    const comment = mongoose.isValidObjectId(req.params.id)
+      ? await Comment.findOne({
+          _id: req.params.id,
+          author: req.user._id,
+          deletedAt: { $ne: null },
+        })
+      : null;
 
     if (!comment) {
       return res.status(404).json({
         success: false,
-        message: "Comment not found",
+        message: "Comment not found in trash",
       });
     }
 
-    // Check if user is the author
-    if (comment.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "You are not authorized to delete this comment",
-      });
-    }
-
-    // Delete the comment and all its replies
-    await Comment.deleteMany({
-      $or: [{ _id: req.params.id }, { parent: req.params.id }],
-    });
-
-    // Delete all likes on this comment and its replies
-    await Like.deleteMany({
-      targetType: "Comment",
-      targetId: req.params.id,
-    });
+    await restoreComment(comment);
 
     res.status(200).json({
       success: true,
-      message: "Comment deleted successfully",
+      message: "Comment restored successfully",
     });
   } catch (error) {
     next(error);
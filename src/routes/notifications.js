@@ -0,0 +1,112 @@
+import express from "express";
+import { authenticate } from "../middleware/auth.js";
+import {
+  markNotificationsReadValidation,
+  notificationPreferencesValidation,
+  validate,
+} from "../middleware/validation.js";
+import {
+  listNotifications,
+  countUnread,
+  markRead,
+  formatPreferences,
+  updatePreferences,
+} from "../services/notificationService.js";
+import { parseLimit } from "../utils/pagination.js";
+
+// The current user's in-app notifications, mounted at /api/notifications
+const router = express.Router();
+
+// List notifications, newest activity first (cursor-paginated)
+router.get("/", authenticate, async (req, res, next) => {
+  try {
+    const [{ notifications, nextCursor, hasMore }, unreadCount] =
+      await Promise.all([
+        listNotifications(req.user._id, {
+          limit: parseLimit(req.query.limit, { defaultLimit: 20 }),
+          cursor: req.query.cursor,
+        }),
+        countUnread(req.user._id),
+      ]);
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unread count, for badges
+router.get("/unread-count", authenticate, async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { unreadCount: await countUnread(req.user._id) },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark notifications as read: { ids: [...] } or { all: true }
+router.post(
+  "/read",
+  authenticate,
+  markNotificationsReadValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const ids = req.body.all === true ? null : req.body.ids;
+      const markedCount = await markRead(req.user._id, ids);
+
+      res.status(200).json({
+        success: true,
+        message: "Notifications marked as read",
+        data: {
+          markedCount,
+          unreadCount: await countUnread(req.user._id),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Which notification types are enabled
+router.get("/preferences", authenticate, async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: formatPreferences(req.user),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enable or mute notification types ({ reaction: false, ... })
+router.put(
+  "/preferences",
+  authenticate,
+  notificationPreferencesValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      res.status(200).json({
+        success: true,
+        message: "Notification preferences updated",
+        data: await updatePreferences(req.user, req.body),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
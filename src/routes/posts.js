@@ -1,12 +1,77 @@
 import express from "express";
+import mongoose from "mongoose";
 import Post from "../models/Post.js";
-import Like from "../models/Like.js";
-import { authenticate } from "../middleware/auth.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { authenticate, requireVerifiedEmail } from "../middleware/auth.js";
 import { upload, uploadToCloudinary } from "../middleware/upload.js";
 import { body, validationResult } from "express-validator";
+import {
+  PRIVACY_OPTIONS,
+  buildVisibilityFilter,
+  getFollowingIds,
+} from "../services/postAccess.js";
+import { loadVisiblePost } from "../middleware/access.js";
+import { createReactionRouter } from "./reactions.js";
+import { withPostInfo } from "../services/feedService.js";
+import { saveBookmark, removeBookmark } from "../services/bookmarkService.js";
+import {
+  isPlainRepost,
+  resolveRepostTarget,
+  repost,
+  quotePost,
+  undoRepost,
+} from "../services/repostService.js";
+import { bookmarkValidation, validate } from "../middleware/validation.js";
+import { listPostComments } from "../services/commentService.js";
+import { softDeletePost, restorePost } from "../services/trashService.js";
+import { recordRevision, listRevisions } from "../services/revisionService.js";
+import {
+  notifyMentions,
+  notifyRepost,
+  retractRepost,
+} from "../services/notificationService.js";
+import {
+  parseLimit,
+  cursorFilter,
+  cursorSort,
+  buildPage,
+} from "../utils/pagination.js";
 
 const router = express.Router();
 
+const MAX_AUDIENCE_SIZE = 500;
+const COMMENT_PREVIEW_LIMIT = 10;
+
+// Optional quote text for POST /:id/repost
+const validateRepost = [
+  body("quote")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage("Quote must not exceed 5000 characters"),
+];
+
+// Accept audience as an array, a JSON array string or a comma-separated
+// string, since multipart forms can't send arrays directly
+const parseIdList = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (Array.isArray(value)) return value.map(String);
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      return Array.isArray(parsed) ? parsed.map(String) : [text];
+    } catch (error) {
+      return [text];
+    }
+  }
+  return text
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+};
+
 // Validation middleware
 const validatePost = [
   body("content")
@@ -17,14 +82,33 @@ const validatePost = [
     .withMessage("Post content must not exceed 5000 characters"),
   body("privacy")
     .optional()
-    .isIn(["public", "private"])
-    .withMessage("Privacy must be either public or private"),
+    .isIn(PRIVACY_OPTIONS)
+    .withMessage(`Privacy must be one of: ${PRIVACY_OPTIONS.join(", ")}`),
+  body("audience")
+    .customSanitizer(parseIdList)
+    .custom((ids, { req }) => {
+      // Edits may leave the audience out to keep the post's current one
+      const isEmpty = ids ? ids.length === 0 : req.method === "POST";
+      if (req.body.privacy === "custom" && isEmpty) {
+        throw new Error("A custom audience must include at least one user");
+      }
+      if (ids && ids.length > MAX_AUDIENCE_SIZE) {
+        throw new Error(
+          `A custom audience must not exceed ${MAX_AUDIENCE_SIZE} users`
+        );
+      }
+      if (ids && !ids.every((id) => mongoose.isValidObjectId(id))) {
+        throw new Error("Audience must contain valid user IDs");
+      }
+      return true;
+    }),
 ];
 
 // Create a new post
 router.post(
   "/",
   authenticate,
+  requireVerifiedEmail,
   upload.single("image"),
   validatePost,
   async (req, res, next) => {
@@ -40,25 +124,31 @@ router.post(
         });
       }
 
-      const { content, privacy = "public" } = req.body;
+      const { content, privacy = "public", audience } = req.body;
       let imageUrl = null;
+      let imagePublicId = null;
 
       // Upload image to Cloudinary if provided
       if (req.file) {
         const result = await uploadToCloudinary(req.file.buffer, "posts");
         imageUrl = result.secure_url;
+        imagePublicId = result.public_id;
       }
 
       // Create post
       const post = await Post.create({
         content,
         image: imageUrl,
+        imagePublicId,
         privacy,
+        audience: privacy === "custom" ? audience : [],
         author: req.user._id,
       });
 
+      await notifyMentions(req.user._id, { post, mentions: post.mentions });
+
       // Populate author details
-      await post.populate("author", "firstName lastName email");
+      await post.populate("author", PUBLIC_AUTHOR_FIELDS);
 
       res.status(201).json({
         success: true,
@@ -71,229 +161,425 @@ router.post(
   }
 );
 
-// Get posts feed (paginated, newest first)
+// Get posts feed (cursor-paginated, newest first)
 router.get("/", authenticate, async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const limit = parseLimit(req.query.limit);
 
-    // Get posts that are either public or authored by the current user
+    // Get posts the current user is allowed to see
     const posts = await Post.find({
-      $or: [{ privacy: "public" }, { author: req.user._id }],
+      $and: [
+        await buildVisibilityFilter(req.user._id),
+        cursorFilter(req.query.cursor),
+      ],
     })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("author", "firstName lastName email")
+      .select("-audience")
+      .sort(cursorSort())
+      .limit(limit + 1)
+      .populate("author", PUBLIC_AUTHOR_FIELDS)
       .lean();
 
-    // Get like counts and user's like status for each post
-    const postsWithLikes = await Promise.all(
-      posts.map(async (post) => {
-        const likeCount = await Like.countDocuments({
-          targetType: "Post",
-          targetId: post._id,
-        });
-
-        const userLiked = await Like.exists({
-          targetType: "Post",
-          targetId: post._id,
-          user: req.user._id,
-        });
-
-        return {
-          ...post,
-          likeCount,
-          isLiked: !!userLiked,
-        };
-      })
-    );
-
-    // Get total count for pagination
-    const total = await Post.countDocuments({
-      $or: [{ privacy: "public" }, { author: req.user._id }],
-    });
+    const { items, nextCursor, hasMore } = buildPage(posts, limit);
 
+    // Add reactions, bookmark status and reposted originals
     res.status(200).json({
       success: true,
-      data: postsWithLikes,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      data: await withPostInfo(items, req.user._id),
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Update a post
-router.put("/:id", authenticate, validatePost, async (req, res, next) => {
+// Get a cursor-paginated feed. scope=following limits it to posts from
+// followed users and yourself; scope=all is every post you can see.
+router.get("/feed", authenticate, async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const scope = req.query.scope || "following";
+    if (!["following", "all"].includes(scope)) {
       return res.status(400).json({
         success: false,
-        errors: errors.array().map((err) => ({
-          field: err.path,
-          message: err.msg,
-        })),
+        message: "Scope must be either following or all",
       });
     }
 
-    const post = await Post.findById(req.params.id);
+    const limit = parseLimit(req.query.limit);
 
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: "Post not found",
-      });
-    }
+    // Covered by the { follower, following } index
+    const followingIds = await getFollowingIds(req.user._id);
+    const filter = {
+      $and: [
+        await buildVisibilityFilter(req.user._id, followingIds),
+        cursorFilter(req.query.cursor),
+      ],
+    };
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "You are not authorized to update this post",
-      });
+    if (scope === "following") {
+      filter.author = { $in: [...followingIds, req.user._id] };
     }
 
-    const { content, privacy } = req.body;
-    post.content = content;
-    if (privacy) post.privacy = privacy;
+    const posts = await Post.find(filter)
+      .select("-audience")
+      .sort(cursorSort())
+      .limit(limit + 1)
+      .populate("author", PUBLIC_AUTHOR_FIELDS)
+      .lean();
 
-    await post.save();
-    await post.populate("author", "firstName lastName email");
+    const { items, nextCursor, hasMore } = buildPage(posts, limit);
 
     res.status(200).json({
       success: true,
-      message: "Post updated successfully",
-      data: post,
+      data: await withPostInfo(items, req.user._id),
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete a post
-router.delete("/:id", authenticate, async (req, res, next) => {
+// Get a single post with its author, engagement and first comments
+router.get("/:id", authenticate, loadVisiblePost(), async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = req.post;
+    await post.populate("author", PUBLIC_AUTHOR_FIELDS);
 
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: "Post not found",
-      });
+    const postObject = post.toJSON();
+
+    // Only the author sees who a custom post is shared with
+    if (post.author._id.toString() !== req.user._id.toString()) {
+      delete postObject.audience;
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    const [[postWithInfo], { comments, nextCursor }] = await Promise.all([
+      withPostInfo([postObject], req.user._id),
+      listPostComments(post._id, req.user._id, {
+        limit: COMMENT_PREVIEW_LIMIT,
+      }),
+    ]);
+
+    // A plain repost of a post the viewer can't see doesn't exist for them
+    if (!postWithInfo) {
+      return res.status(404).json({
         success: false,
-        message: "You are not authorized to delete this post",
+        message: "Post not found",
       });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
-
-    // Also delete all likes and comments associated with this post
-    await Like.deleteMany({ targetType: "Post", targetId: req.params.id });
-
     res.status(200).json({
       success: true,
-      message: "Post deleted successfully",
+      data: {
+        ...postWithInfo,
+        comments,
+        commentsNextCursor: nextCursor,
+      },
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Toggle like on a post
-router.post("/:id/like", authenticate, async (req, res, next) => {
+// Update a post
+router.put(
+  "/:id",
+  authenticate,
+  loadVisiblePost(),
+  validatePost,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((err) => ({
+            field: err.path,
+            message: err.msg,
+          })),
+        });
+      }
+
+      const post = req.post;
+
+      // Check if user is the author
+      if (post.author.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not authorized to update this post",
+        });
+      }
+
+      if (isPlainRepost(post)) {
+        return res.status(400).json({
+          success: false,
+          message: "Reposts can't be edited",
+        });
+      }
+
+      const { content, privacy, audience } = req.body;
+      const previousContent = post.content;
+      const previousMentions = [...post.mentions];
+      const contentChanged = content !== previousContent;
+
+      post.content = content;
+      if (contentChanged) post.editedAt = new Date();
+      if (privacy) post.privacy = privacy;
+      if (post.privacy !== "custom") {
+        post.audience = [];
+      } else if (audience) {
+        post.audience = audience;
+      }
+      // Switching to custom without an audience leaves nobody to share with
+      if (post.privacy === "custom" && post.audience.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "A custom audience must include at least one user",
+        });
+      }
+
+      await post.save();
+
+      // Keep the previous version instead of silently overwriting it
+      if (contentChanged) {
+        await recordRevision("Post", post._id, previousContent, req.user._id);
+        await notifyMentions(req.user._id, {
+          post,
+          mentions: post.mentions,
+          previousMentions,
+        });
+      }
+
+      await post.populate("author", PUBLIC_AUTHOR_FIELDS);
+
+      res.status(200).json({
+        success: true,
+        message: "Post updated successfully",
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the edit history of a post (previous versions, newest first)
+router.get(
+  "/:id/history",
+  authenticate,
+  loadVisiblePost(),
+  async (req, res, next) => {
+    try {
+      const { revisions, nextCursor, hasMore } = await listRevisions(
+        "Post",
+        req.post._id,
+        {
+          limit: parseLimit(req.query.limit, { defaultLimit: 20 }),
+          cursor: req.query.cursor,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          current: {
+            content: req.post.content,
+            editedAt: req.post.editedAt,
+          },
+          revisions,
+        },
+        nextCursor,
+        hasMore,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Move a post to the trash
+router.delete(
+  "/:id",
+  authenticate,
+  loadVisiblePost(),
+  async (req, res, next) => {
+    try {
+      const post = req.post;
+
+      // Check if user is the author
+      if (post.author.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not authorized to delete this post",
+        });
+      }
+
+      // Soft delete; the post can be restored from the trash until it
+      // is purged
+      await softDeletePost(post);
+
+      res.status(200).json({
+        success: true,
+        message: "Post moved to trash",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a post from the trash
+router.post("/:id/restore", authenticate, async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = mongoose.isValidObjectId(req.params.id)
+      ? await Post.findOne({
+          _id: req.params.id,
+          author: req.user._id,
+          deletedAt: { $ne: null },
+        })
+      : null;
 
     if (!post) {
       return res.status(404).json({
         success: false,
-        message: "Post not found",
+        message: "Post not found in trash",
       });
     }
 
-    // Check if user already liked the post
-    const existingLike = await Like.findOne({
-      user: req.user._id,
-      targetType: "Post",
-      targetId: req.params.id,
+    await restorePost(post);
+
+    res.status(200).json({
+      success: true,
+      message: "Post restored successfully",
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (existingLike) {
-      // Unlike
-      await Like.findByIdAndDelete(existingLike._id);
-      const likeCount = await Like.countDocuments({
-        targetType: "Post",
-        targetId: req.params.id,
-      });
+// Repost a post, or quote it with { quote }. Reposting a repost shares its
+// original; plain reposts are one per user and post.
+router.post(
+  "/:id/repost",
+  authenticate,
+  requireVerifiedEmail,
+  validateRepost,
+  validate,
+  loadVisiblePost(),
+  async (req, res, next) => {
+    try {
+      const original = await resolveRepostTarget(req.user, req.post);
+      const { quote } = req.body;
+
+      let post;
+      if (quote) {
+        post = await quotePost(req.user._id, original, quote);
+        await notifyRepost(req.user._id, original);
+        await notifyMentions(req.user._id, { post, mentions: post.mentions });
+      } else {
+        const result = await repost(req.user._id, original);
+        post = result.post;
+        // Repeating a repost changes nothing, so there's nothing to tell
+        if (!result.alreadyReposted) {
+          await notifyRepost(req.user._id, original);
+        }
+      }
+
+      await post.populate("author", PUBLIC_AUTHOR_FIELDS);
+      const [postWithInfo] = await withPostInfo([post.toJSON()], req.user._id);
 
-      return res.status(200).json({
+      res.status(201).json({
         success: true,
-        message: "Post unliked",
-        data: {
-          isLiked: false,
-          likeCount,
-        },
-      });
-    } else {
-      // Like
-      await Like.create({
-        user: req.user._id,
-        targetType: "Post",
-        targetId: req.params.id,
+        message: quote ? "Post quoted successfully" : "Post reposted",
+        data: postWithInfo,
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      const likeCount = await Like.countDocuments({
-        targetType: "Post",
-        targetId: req.params.id,
-      });
+// Undo the current user's plain repost of a post (quote posts are deleted
+// like any other post). A no-op if there is nothing to undo.
+router.delete("/:id/repost", authenticate, async (req, res, next) => {
+  try {
+    if (mongoose.isValidObjectId(req.params.id)) {
+      const removed = await undoRepost(req.user._id, req.params.id);
+      if (removed) {
+        const original = await Post.findById(req.params.id)
+          .select("author")
+          .lean();
+        if (original) await retractRepost(req.user._id, original);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Repost removed",
+      data: { isReposted: false },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a post to the current user's bookmarks, optionally into a
+// collection ({ collectionId }); saving again moves it between collections
+router.post(
+  "/:id/bookmark",
+  authenticate,
+  bookmarkValidation,
+  validate,
+  loadVisiblePost(),
+  async (req, res, next) => {
+    try {
+      const bookmark = await saveBookmark(
+        req.user._id,
+        req.post._id,
+        req.body.collectionId
+      );
 
-      return res.status(200).json({
+      res.status(200).json({
         success: true,
-        message: "Post liked",
+        message: "Post bookmarked",
         data: {
-          isLiked: true,
-          likeCount,
+          isBookmarked: true,
+          collection: bookmark.bookmarkCollection,
         },
       });
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    next(error);
   }
-});
+);
 
-// Get users who liked a post
-router.get("/:id/likes", authenticate, async (req, res, next) => {
+// Remove a post from the current user's bookmarks. This works even if the
+// post is no longer visible, and is a no-op if it wasn't saved.
+router.delete("/:id/bookmark", authenticate, async (req, res, next) => {
   try {
-    const likes = await Like.find({
-      targetType: "Post",
-      targetId: req.params.id,
-    })
-      .populate("user", "firstName lastName email")
-      .sort({ createdAt: -1 });
+    if (mongoose.isValidObjectId(req.params.id)) {
+      await removeBookmark(req.user._id, req.params.id);
+    }
 
     res.status(200).json({
       success: true,
-      data: likes.map((like) => ({
-        user: like.user,
-        likedAt: like.createdAt,
-      })),
+      message: "Bookmark removed",
+      data: { isBookmarked: false },
     });
   } catch (error) {
     next(error);
   }
 });
 
+// Likes and reactions: POST/PUT/DELETE /:id/like, PUT/DELETE
+// /:id/reaction and GET /:id/likes
+router.use(
+  "/:id",
+  createReactionRouter({
+    targetType: "Post",
+    loadTarget: loadVisiblePost(),
+    getTarget: (req) => req.post,
+  })
+);
+
 export default router;
@@ -0,0 +1,164 @@
+import express from "express";
+import { authenticate } from "../middleware/auth.js";
+import { reactionValidation, validate } from "../middleware/validation.js";
+import {
+  setReaction,
+  removeReaction,
+  toggleLike,
+  listReactions,
+} from "../services/likeService.js";
+import {
+  notifyReaction,
+  retractReaction,
+} from "../services/notificationService.js";
+import { parseLimit } from "../utils/pagination.js";
+
+// Like and reaction routes shared by posts and comments, mounted under
+// "/:id" by both routers. loadTarget is the access middleware that loads
+// the post or comment (404 when the user can't see it) and getTarget
+// reads it back from the request.
+export const createReactionRouter = ({ targetType, loadTarget, getTarget }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Tell the author about a new reaction, or take back a removed one.
+  // Both loaders set req.post (for comments, the comment's post).
+  const reportReaction = (req, reaction) =>
+    reaction
+      ? notifyReaction(req.user._id, targetType, getTarget(req), req.post)
+      : retractReaction(req.user._id, targetType, getTarget(req));
+
+  const respond = (res, message, { reaction, likeCount, reactionCounts }) =>
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        isLiked: reaction !== null,
+        reaction,
+        likeCount,
+        reactionCounts,
+      },
+    });
+
+  // Toggle like (kept for older clients; prefer PUT/DELETE /like)
+  router.post("/like", authenticate, loadTarget, async (req, res, next) => {
+    try {
+      const result = await toggleLike(
+        targetType,
+        getTarget(req)._id,
+        req.user._id
+      );
+      await reportReaction(req, result.reaction);
+
+      respond(
+        res,
+        result.reaction ? `${targetType} liked` : `${targetType} unliked`,
+        result
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Like (idempotent; replaces any other reaction with "like")
+  router.put("/like", authenticate, loadTarget, async (req, res, next) => {
+    try {
+      const result = await setReaction(
+        targetType,
+        getTarget(req)._id,
+        req.user._id,
+        "like"
+      );
+      await reportReaction(req, result.reaction);
+
+      respond(res, `${targetType} liked`, result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Unlike (idempotent; removes the user's reaction of any type)
+  router.delete("/like", authenticate, loadTarget, async (req, res, next) => {
+    try {
+      const result = await removeReaction(
+        targetType,
+        getTarget(req)._id,
+        req.user._id
+      );
+      await reportReaction(req, result.reaction);
+
+      respond(res, `${targetType} unliked`, result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // React (replaces any earlier reaction)
+  router.put(
+    "/reaction",
+    authenticate,
+    reactionValidation,
+    validate,
+    loadTarget,
+    async (req, res, next) => {
+      try {
+        const result = await setReaction(
+          targetType,
+          getTarget(req)._id,
+          req.user._id,
+          req.body.type
+        );
+        await reportReaction(req, result.reaction);
+
+        respond(res, "Reaction saved", result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Remove the user's reaction
+  router.delete(
+    "/reaction",
+    authenticate,
+    loadTarget,
+    async (req, res, next) => {
+      try {
+        const result = await removeReaction(
+          targetType,
+          getTarget(req)._id,
+          req.user._id
+        );
+        await reportReaction(req, result.reaction);
+
+        respond(res, "Reaction removed", result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Users who reacted, with their reaction type (cursor-paginated)
+  router.get("/likes", authenticate, loadTarget, async (req, res, next) => {
+    try {
+      const { reactions, nextCursor, hasMore } = await listReactions(
+        targetType,
+        getTarget(req)._id,
+        {
+          limit: parseLimit(req.query.limit, { defaultLimit: 20 }),
+          cursor: req.query.cursor,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: reactions,
+        nextCursor,
+        hasMore,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,93 @@
+import express from "express";
+import { authenticate } from "../middleware/auth.js";
+import { withPostInfo } from "../services/feedService.js";
+import {
+  searchPosts,
+  searchComments,
+  searchUsers,
+  autocompleteUsers,
+} from "../services/searchService.js";
+import { parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const SEARCH_TYPES = ["posts", "comments", "users"];
+const MAX_QUERY_LENGTH = 100;
+
+// Read ?q=, or respond with 400 and return null
+const getQuery = (req, res) => {
+  const q = String(req.query.q || "").trim();
+
+  if (!q || q.length > MAX_QUERY_LENGTH) {
+    res.status(400).json({
+      success: false,
+      message: `Search query must be between 1 and ${MAX_QUERY_LENGTH} characters`,
+    });
+    return null;
+  }
+  return q;
+};
+
+// Search posts, comments or people (?q=&type=posts|comments|users), best
+// matches first, cursor-paginated. Post and comment results carry a
+// `snippet` with highlighted matches.
+router.get("/", authenticate, async (req, res, next) => {
+  try {
+    const q = getQuery(req, res);
+    if (!q) return;
+
+    const type = req.query.type || "posts";
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${SEARCH_TYPES.join(", ")}`,
+      });
+    }
+
+    const options = {
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+    };
+
+    let page;
+    if (type === "posts") {
+      page = await searchPosts(req.user._id, q, options);
+      page.items = await withPostInfo(page.items, req.user._id);
+    } else if (type === "comments") {
+      page = await searchComments(req.user._id, q, options);
+    } else {
+      page = await searchUsers(q, options);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Users whose username or name starts with ?q= (a leading "@" is
+// ignored), for the mention picker
+router.get("/users/autocomplete", authenticate, async (req, res, next) => {
+  try {
+    const q = getQuery(req, res);
+    if (!q) return;
+
+    const users = await autocompleteUsers(q, {
+      limit: parseLimit(req.query.limit, { defaultLimit: 8, max: 20 }),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: users,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
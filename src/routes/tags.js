@@ -0,0 +1,79 @@
+import express from "express";
+import Post from "../models/Post.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { authenticate } from "../middleware/auth.js";
+import { buildVisibilityFilter } from "../services/postAccess.js";
+import { withPostInfo } from "../services/feedService.js";
+import {
+  getTrendingTags,
+  getTrendingWindowHours,
+} from "../services/tagService.js";
+import { normalizeTag } from "../utils/hashtags.js";
+import {
+  parseLimit,
+  cursorFilter,
+  cursorSort,
+  buildPage,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Get trending tags over the last TRENDING_WINDOW_HOURS
+router.get("/trending", authenticate, async (req, res, next) => {
+  try {
+    const tags = await getTrendingTags({
+      limit: parseLimit(req.query.limit, { defaultLimit: 10, max: 20 }),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: tags,
+      windowHours: getTrendingWindowHours(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get posts with a tag that the user can see (cursor-paginated, newest
+// first). The tag may be given with or without "#" and in any case.
+router.get("/:tag/posts", authenticate, async (req, res, next) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid hashtag",
+      });
+    }
+
+    const limit = parseLimit(req.query.limit);
+
+    const posts = await Post.find({
+      tags: tag,
+      $and: [
+        await buildVisibilityFilter(req.user._id),
+        cursorFilter(req.query.cursor),
+      ],
+    })
+      .select("-audience")
+      .sort(cursorSort())
+      .limit(limit + 1)
+      .populate("author", PUBLIC_AUTHOR_FIELDS)
+      .lean();
+
+    const { items, nextCursor, hasMore } = buildPage(posts, limit);
+
+    res.status(200).json({
+      success: true,
+      tag,
+      data: await withPostInfo(items, req.user._id),
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
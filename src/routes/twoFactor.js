@@ -0,0 +1,205 @@
+import express from "express";
+import User from "../models/User.js";
+import { authenticate } from "../middleware/auth.js";
+import { authLimiter } from "../middleware/rateLimiter.js";
+import {
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
+  validate,
+} from "../middleware/validation.js";
+import { generateSecret, buildOtpauthUri, verifyTotp } from "../utils/totp.js";
+import {
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../services/twoFactorService.js";
+
+const router = express.Router();
+
+const TOTP_ISSUER = "Applify";
+
+// Start enrollment: create a pending secret for the authenticator app
+router.post("/enroll", authenticate, async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorPendingSecret: secret }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the URI with your authenticator app, then confirm a code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: req.user.email,
+          issuer: TOTP_ISSUER,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app
+router.post(
+  "/confirm",
+  authLimiter,
+  authenticate,
+  twoFactorCodeValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id).select(
+        "+twoFactorPendingSecret"
+      );
+
+      if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "No two-factor enrollment in progress",
+        });
+      }
+
+      const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          twoFactorEnabled: true,
+          twoFactorSecret: user.twoFactorPendingSecret,
+          twoFactorRecoveryCodes: hashes,
+          twoFactorLastUsedStep: step,
+          $unset: { twoFactorPendingSecret: 1 },
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        data: {
+          recoveryCodes: codes,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replace the recovery codes with a new set
+router.post(
+  "/recovery-codes",
+  authLimiter,
+  authenticate,
+  twoFactorCodeValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      if (!(await verifySecondFactor(user, req.body.code))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        { twoFactorRecoveryCodes: hashes }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Recovery codes regenerated",
+        data: {
+          recoveryCodes: codes,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Turn off two-factor authentication (requires password and a code)
+router.post(
+  "/disable",
+  authLimiter,
+  authenticate,
+  disableTwoFactorValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user._id).select(
+        "+password +twoFactorSecret"
+      );
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(req.body.password);
+      if (
+        !isPasswordValid ||
+        !(await verifySecondFactor(user, req.body.code))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid password or verification code",
+        });
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          twoFactorEnabled: false,
+          twoFactorLastUsedStep: null,
+          $unset: {
+            twoFactorSecret: 1,
+            twoFactorPendingSecret: 1,
+            twoFactorRecoveryCodes: 1,
+          },
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,507 @@
+import express from "express";
+import mongoose from "mongoose";
+import User, { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Follow from "../models/Follow.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  upload,
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} from "../middleware/upload.js";
+import {
+  updateProfileValidation,
+  changePasswordValidation,
+  validate,
+} from "../middleware/validation.js";
+import { authLimiter } from "../middleware/rateLimiter.js";
+import { revokeAllSessions } from "../services/sessionService.js";
+import { buildVisibilityFilter } from "../services/postAccess.js";
+import { withPostInfo } from "../services/feedService.js";
+import {
+  listMentioningPosts,
+  listMentioningComments,
+} from "../services/mentionService.js";
+import { getTrashRetentionDays } from "../services/trashService.js";
+import {
+  notifyFollow,
+  retractFollow,
+} from "../services/notificationService.js";
+import {
+  parseLimit,
+  cursorFilter,
+  cursorSort,
+  buildPage,
+} from "../utils/pagination.js";
+
+const router = express.Router();
+
+const PROFILE_FIELDS = [
+  "firstName",
+  "lastName",
+  "username",
+  "bio",
+  "location",
+  "website",
+];
+
+// Profile fields anyone can see (never the email address)
+const formatPublicProfile = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  username: user.username,
+  bio: user.bio,
+  location: user.location,
+  website: user.website,
+  avatar: user.avatar,
+  createdAt: user.createdAt,
+});
+
+// Profile of the current user, including private fields
+const formatOwnProfile = (user) => ({
+  ...formatPublicProfile(user),
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+});
+
+// Follower and following counts for a profile
+const getFollowCounts = async (userId) => {
+  const [followerCount, followingCount] = await Promise.all([
+    Follow.countDocuments({ following: userId }),
+    Follow.countDocuments({ follower: userId }),
+  ]);
+  return { followerCount, followingCount };
+};
+
+// Load the user named by :id, or respond with 404
+const findUserParam = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id)
+    : null;
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+  return user;
+};
+
+// Cursor-paginated list of follow edges, returning the user on `side`
+const listFollows = async (req, res, filter, side) => {
+  const limit = parseLimit(req.query.limit, { defaultLimit: 20 });
+
+  const follows = await Follow.find({
+    ...filter,
+    ...cursorFilter(req.query.cursor),
+  })
+    .sort(cursorSort())
+    .limit(limit + 1)
+    .populate(side, "firstName lastName username bio avatar createdAt")
+    .lean();
+
+  const { items, nextCursor, hasMore } = buildPage(follows, limit);
+
+  res.status(200).json({
+    success: true,
+    data: items
+      .filter((follow) => follow[side])
+      .map((follow) => ({
+        user: formatPublicProfile(follow[side]),
+        followedAt: follow.createdAt,
+      })),
+    nextCursor,
+    hasMore,
+  });
+};
+
+// Get the current user's profile
+router.get("/me", authenticate, async (req, res, next) => {
+  try {
+    const [postCount, followCounts] = await Promise.all([
+      Post.countDocuments({ author: req.user._id, deletedAt: null }),
+      getFollowCounts(req.user._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatOwnProfile(req.user),
+        postCount,
+        ...followCounts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the current user's profile
+router.patch(
+  "/me",
+  authenticate,
+  updateProfileValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = req.user;
+      const { username } = req.body;
+
+      if (
+        username &&
+        username !== user.username &&
+        (await User.exists({ username }))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Username is already taken",
+        });
+      }
+
+      PROFILE_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) {
+          user[field] = req.body[field];
+        }
+      });
+
+      await user.save();
+
+      res.status(200).json({
+        success: true,
+        message: "Profile updated successfully",
+        data: formatOwnProfile(user),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Upload or replace the current user's avatar
+router.put(
+  "/me/avatar",
+  authenticate,
+  upload.single("avatar"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Avatar image is required",
+        });
+      }
+
+      const user = await User.findById(req.user._id).select("+avatarPublicId");
+      const previousPublicId = user.avatarPublicId;
+
+      const result = await uploadToCloudinary(req.file.buffer, "avatars");
+      user.avatar = result.secure_url;
+      user.avatarPublicId = result.public_id;
+      await user.save();
+
+      // Remove the old image only once the new one is saved
+      if (previousPublicId) {
+        await deleteFromCloudinary(previousPublicId);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Avatar updated successfully",
+        data: {
+          avatar: user.avatar,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Change the current user's password
+router.post(
+  "/me/password",
+  authLimiter,
+  authenticate,
+  changePasswordValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user._id).select("+password");
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Current password is incorrect",
+        });
+      }
+
+      user.password = newPassword;
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      // Keep this device logged in, sign out everywhere else
+      await revokeAllSessions(user._id, {
+        except: req.authSession._id,
+        reason: "password_change",
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Password changed successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List the current user's trashed posts or comments (?type=posts|comments)
+router.get("/me/trash", authenticate, async (req, res, next) => {
+  try {
+    const type = req.query.type || "posts";
+    if (!["posts", "comments"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "type must be posts or comments",
+      });
+    }
+
+    const Model = type === "posts" ? Post : Comment;
+    const limit = parseLimit(req.query.limit);
+
+    const docs = await Model.find({
+      author: req.user._id,
+      deletedAt: { $ne: null },
+      ...cursorFilter(req.query.cursor),
+    })
+      .sort(cursorSort())
+      .limit(limit + 1)
+      .lean();
+
+    const { items, nextCursor, hasMore } = buildPage(docs, limit);
+
+    // Tell the client when each item will be gone for good
+    const retentionMs = getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+
+    res.status(200).json({
+      success: true,
+      data: items.map((item) => ({
+        ...item,
+        purgeAt: new Date(item.deletedAt.getTime() + retentionMs),
+      })),
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List posts or comments mentioning the current user that they can see
+// (?type=posts|comments, cursor-paginated, newest first)
+router.get("/me/mentions", authenticate, async (req, res, next) => {
+  try {
+    const type = req.query.type || "posts";
+    if (!["posts", "comments"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "type must be posts or comments",
+      });
+    }
+
+    const options = {
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+    };
+
+    if (type === "posts") {
+      const { items, nextCursor, hasMore } = await listMentioningPosts(
+        req.user._id,
+        options
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: await withPostInfo(items, req.user._id),
+        nextCursor,
+        hasMore,
+      });
+    }
+
+    const { items, nextCursor, hasMore } = await listMentioningComments(
+      req.user._id,
+      options
+    );
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user's public profile
+router.get("/:id", authenticate, async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    // Count only the posts the viewer is allowed to see
+    const visibilityFilter = await buildVisibilityFilter(req.user._id);
+    const [postCount, followCounts, isFollowing] = await Promise.all([
+      Post.countDocuments({ author: user._id, ...visibilityFilter }),
+      getFollowCounts(user._id),
+      Follow.exists({ follower: req.user._id, following: user._id }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatPublicProfile(user),
+        postCount,
+        ...followCounts,
+        isFollowing: !!isFollowing,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user's timeline: their posts the viewer can see, newest first
+router.get("/:id/posts", authenticate, async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    const limit = parseLimit(req.query.limit);
+
+    const posts = await Post.find({
+      author: user._id,
+      $and: [
+        await buildVisibilityFilter(req.user._id),
+        cursorFilter(req.query.cursor),
+      ],
+    })
+      .select("-audience")
+      .sort(cursorSort())
+      .limit(limit + 1)
+      .populate("author", PUBLIC_AUTHOR_FIELDS)
+      .lean();
+
+    const { items, nextCursor, hasMore } = buildPage(posts, limit);
+
+    res.status(200).json({
+      success: true,
+      data: await withPostInfo(items, req.user._id),
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Follow a user
+router.post("/:id/follow", authenticate, async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot follow yourself",
+      });
+    }
+
+    // Upsert so repeated requests are harmless
+    const { upsertedCount } = await Follow.updateOne(
+      { follower: req.user._id, following: user._id },
+      { $setOnInsert: { follower: req.user._id, following: user._id } },
+      { upsert: true }
+    );
+    if (upsertedCount > 0) {
+      await notifyFollow(req.user._id, user._id);
+    }
+
+    const { followerCount } = await getFollowCounts(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "User followed",
+      data: {
+        isFollowing: true,
+        followerCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unfollow a user
+router.delete("/:id/follow", authenticate, async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    const { deletedCount } = await Follow.deleteOne({
+      follower: req.user._id,
+      following: user._id,
+    });
+    if (deletedCount > 0) {
+      await retractFollow(req.user._id, user._id);
+    }
+
+    const { followerCount } = await getFollowCounts(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "User unfollowed",
+      data: {
+        isFollowing: false,
+        followerCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the users following a user
+router.get("/:id/followers", authenticate, async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    await listFollows(req, res, { following: user._id }, "follower");
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the users a user follows
+router.get("/:id/following", authenticate, async (req, res, next) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    await listFollows(req, res, { follower: user._id }, "following");
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
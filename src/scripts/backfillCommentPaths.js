@@ -0,0 +1,75 @@
+// Fill in ancestors/depth on comments created before threads stored a
+// materialized path. Safe to run more than once.
+//
+// Usage: npm run backfill:comment-paths
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Comment from "../models/Comment.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  // id -> ancestors (root first) of every comment resolved so far
+  const paths = new Map();
+
+  const resolveAncestors = async (commentId) => {
+    const key = commentId.toString();
+    if (paths.has(key)) return paths.get(key);
+
+    const comment = await Comment.findById(commentId).select("parent").lean();
+    const ancestors =
+      comment && comment.parent
+        ? [...(await resolveAncestors(comment.parent)), comment.parent]
+        : [];
+
+    paths.set(key, ancestors);
+    return ancestors;
+  };
+
+  const topLevel = await Comment.updateMany(
+    { parent: null },
+    { $set: { ancestors: [], depth: 0 } }
+  );
+  console.log(`✅ Top-level comments: ${topLevel.modifiedCount} updated`);
+
+  let updated = 0;
+  let ops = [];
+
+  const cursor = Comment.find({ parent: { $ne: null } })
+    .select("parent")
+    .lean()
+    .cursor();
+
+  for await (const reply of cursor) {
+    const ancestors = [...(await resolveAncestors(reply.parent)), reply.parent];
+    paths.set(reply._id.toString(), ancestors);
+
+    ops.push({
+      updateOne: {
+        filter: { _id: reply._id },
+        update: { $set: { ancestors, depth: ancestors.length } },
+      },
+    });
+
+    if (ops.length === BATCH_SIZE) {
+      updated += (await Comment.bulkWrite(ops)).modifiedCount;
+      ops = [];
+    }
+  }
+  if (ops.length) updated += (await Comment.bulkWrite(ops)).modifiedCount;
+
+  console.log(`✅ Replies: ${updated} updated`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,35 @@
+// Mark accounts created before email verification existed as verified, so
+// turning on REQUIRE_EMAIL_VERIFICATION doesn't lock them out of posting.
+// Every account registered since is sent a verification link, and its
+// token is only cleared once the address is verified, so an unverified
+// account without a token predates the feature. Safe to run more than
+// once.
+//
+// Usage: npm run backfill:email-verified
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import User from "../models/User.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const { modifiedCount } = await User.updateMany(
+    {
+      emailVerified: { $ne: true },
+      emailVerificationTokenHash: { $exists: false },
+    },
+    { $set: { emailVerified: true } }
+  );
+  console.log(`✅ Users: ${modifiedCount} marked as verified`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// Fill in tags on posts created before hashtags were extracted. Safe to
+// run more than once.
+//
+// Usage: npm run backfill:tags
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Post from "../models/Post.js";
+import { extractHashtags } from "../utils/hashtags.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  let updated = 0;
+  let ops = [];
+
+  const cursor = Post.find().select("content tags").lean().cursor();
+
+  for await (const post of cursor) {
+    const tags = extractHashtags(post.content);
+    if (JSON.stringify(tags) === JSON.stringify(post.tags || [])) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { tags } },
+      },
+    });
+
+    if (ops.length === BATCH_SIZE) {
+      updated += (await Post.bulkWrite(ops)).modifiedCount;
+      ops = [];
+    }
+  }
+  if (ops.length) updated += (await Post.bulkWrite(ops)).modifiedCount;
+
+  console.log(`✅ Posts: ${updated} updated`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,75 @@
+// Give every account created before usernames existed a generated
+// @handle, then resolve @mentions in existing posts and comments. Safe to
+// run more than once.
+//
+// Usage: npm run backfill:usernames
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import { findMentions } from "../utils/mentions.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Re-resolve mentions on every document whose text contains an "@handle"
+const backfillMentions = async (Model, field) => {
+  let updated = 0;
+  let ops = [];
+
+  const cursor = Model.find({ [field]: /@/ })
+    .select(field)
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    if (findMentions(doc[field]).length === 0) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { mentions: await User.resolveMentions(doc[field]) } },
+      },
+    });
+
+    if (ops.length === BATCH_SIZE) {
+      updated += (await Model.bulkWrite(ops)).modifiedCount;
+      ops = [];
+    }
+  }
+  if (ops.length) updated += (await Model.bulkWrite(ops)).modifiedCount;
+
+  return updated;
+};
+
+const run = async () => {
+  await connectDB();
+
+  let usernames = 0;
+  const users = User.find({ username: { $exists: false } })
+    .select("firstName lastName")
+    .cursor();
+
+  for await (const user of users) {
+    user.username = await User.generateUsername(user.firstName, user.lastName);
+    await user.save({ validateBeforeSave: false });
+    usernames++;
+  }
+  console.log(`✅ Usernames: ${usernames} generated`);
+
+  console.log(`✅ Posts: ${await backfillMentions(Post, "content")} updated`);
+  console.log(
+    `✅ Comments: ${await backfillMentions(Comment, "text")} updated`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
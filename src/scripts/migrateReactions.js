@@ -0,0 +1,48 @@
+// One-off migration from binary likes to reactions: gives existing likes
+// the "like" type and seeds reactionCounts on posts and comments from
+// their likeCount. Safe to run more than once.
+//
+// Usage: npm run migrate:reactions
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Like, { REACTION_TYPES } from "../models/Like.js";
+
+dotenv.config();
+
+// Before reactions every like was a "like", so likeCount is its count
+const seedReactionCounts = async (Model) => {
+  const reactionCounts = Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, 0])
+  );
+  reactionCounts.like = { $ifNull: ["$likeCount", 0] };
+
+  const { modifiedCount } = await Model.updateMany(
+    { reactionCounts: { $exists: false } },
+    [{ $set: { reactionCounts } }]
+  );
+  return modifiedCount;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const { modifiedCount: likes } = await Like.updateMany(
+    { type: { $exists: false } },
+    { $set: { type: "like" } }
+  );
+  console.log(`✅ Likes migrated: ${likes}`);
+
+  console.log(`✅ Posts seeded: ${await seedReactionCounts(Post)}`);
+  console.log(`✅ Comments seeded: ${await seedReactionCounts(Comment)}`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Reaction migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,204 @@
+// Find and delete records whose owner no longer exists: plain reposts of
+// deleted posts, comments on deleted posts or under deleted comments,
+// likes, revisions and notifications of deleted posts or comments, and
+// bookmarks of deleted posts.
+//
+// Usage: npm run purge:orphans [-- --dry-run]
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Like from "../models/Like.js";
+import Revision from "../models/Revision.js";
+import Bookmark from "../models/Bookmark.js";
+import Notification from "../models/Notification.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 1000;
+const dryRun = process.argv.includes("--dry-run");
+
+const targetModels = { Post, Comment };
+
+// IDs from the list with no matching document in Model
+const findMissing = async (Model, ids) => {
+  const unique = [...new Set(ids.map((id) => id.toString()))];
+  const existing = await Model.find({ _id: { $in: unique } }).distinct("_id");
+  const found = new Set(existing.map((id) => id.toString()));
+  return new Set(unique.filter((id) => !found.has(id)));
+};
+
+// Stream a collection (or the documents matching filter) in batches,
+// collecting the IDs findOrphans() flags
+const scan = async (Model, projection, findOrphans, filter = {}) => {
+  const orphanIds = [];
+  let batch = [];
+
+  const flush = async () => {
+    orphanIds.push(...(await findOrphans(batch)));
+    batch = [];
+  };
+
+  const cursor = Model.find(filter).select(projection).lean().cursor();
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length === BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+
+  return orphanIds;
+};
+
+// Delete by ID in batches (or just count in dry-run mode)
+const purge = async (Model, ids, label) => {
+  if (!dryRun) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      await Model.deleteMany({ _id: { $in: ids.slice(i, i + BATCH_SIZE) } });
+    }
+  }
+  console.log(
+    `${dryRun ? "🔍" : "✅"} ${label}: ${ids.length} ${
+      dryRun ? "found" : "deleted"
+    }`
+  );
+};
+
+// Comments whose post or parent comment is gone. A purged comment
+// orphans its own replies, so repeat until nothing new turns up.
+const purgeOrphanComments = async () => {
+  let total = 0;
+
+  for (;;) {
+    const orphanIds = await scan(Comment, "post parent", async (batch) => {
+      const missingPosts = await findMissing(
+        Post,
+        batch.map((comment) => comment.post)
+      );
+      const missingParents = await findMissing(
+        Comment,
+        batch.filter((comment) => comment.parent).map((c) => c.parent)
+      );
+
+      return batch
+        .filter(
+          (comment) =>
+            missingPosts.has(comment.post.toString()) ||
+            (comment.parent && missingParents.has(comment.parent.toString()))
+        )
+        .map((comment) => comment._id);
+    });
+
+    if (orphanIds.length === 0) break;
+    total += orphanIds.length;
+    await purge(Comment, orphanIds, "Orphaned comments");
+
+    // In dry-run nothing was deleted, so another pass finds the same set
+    if (dryRun) break;
+  }
+
+  return total;
+};
+
+// Plain reposts whose original is gone. Quote posts keep their own text
+// and show `original: null` instead. Run first: the comments, likes and
+// bookmarks of the purged reposts are swept up by the passes after it.
+const purgeOrphanReposts = async () => {
+  const repostIds = await scan(
+    Post,
+    "repostOf",
+    async (batch) => {
+      const missing = await findMissing(
+        Post,
+        batch.map((post) => post.repostOf)
+      );
+      return batch
+        .filter((post) => missing.has(post.repostOf.toString()))
+        .map((post) => post._id);
+    },
+    { repostOf: { $ne: null }, content: "" }
+  );
+  await purge(Post, repostIds, "Orphaned reposts");
+};
+
+// Likes, revisions or notifications whose target post or comment is gone
+const findOrphanTargets = async (batch) => {
+  const orphans = [];
+
+  for (const [targetType, Model] of Object.entries(targetModels)) {
+    const docs = batch.filter((doc) => doc.targetType === targetType);
+    const missing = await findMissing(
+      Model,
+      docs.map((doc) => doc.targetId)
+    );
+    orphans.push(
+      ...docs
+        .filter((doc) => missing.has(doc.targetId.toString()))
+        .map((doc) => doc._id)
+    );
+  }
+
+  return orphans;
+};
+
+const run = async () => {
+  await connectDB();
+
+  await purgeOrphanReposts();
+  await purgeOrphanComments();
+
+  const likeIds = await scan(Like, "targetType targetId", findOrphanTargets);
+  await purge(Like, likeIds, "Orphaned likes");
+
+  const revisionIds = await scan(
+    Revision,
+    "targetType targetId",
+    findOrphanTargets
+  );
+  await purge(Revision, revisionIds, "Orphaned revisions");
+
+  const bookmarkIds = await scan(Bookmark, "post", async (batch) => {
+    const missing = await findMissing(
+      Post,
+      batch.map((bookmark) => bookmark.post)
+    );
+    return batch
+      .filter((bookmark) => missing.has(bookmark.post.toString()))
+      .map((bookmark) => bookmark._id);
+  });
+  await purge(Bookmark, bookmarkIds, "Orphaned bookmarks");
+
+  // Notifications about a comment also name its post; either may be gone
+  const notificationIds = await scan(
+    Notification,
+    "targetType targetId post",
+    async (batch) => {
+      const orphans = await findOrphanTargets(batch);
+      const withPost = batch.filter((notification) => notification.post);
+      const missing = await findMissing(
+        Post,
+        withPost.map((notification) => notification.post)
+      );
+      const orphanIds = new Set(orphans.map((id) => id.toString()));
+      return [
+        ...orphans,
+        ...withPost
+          .filter(
+            (notification) =>
+              missing.has(notification.post.toString()) &&
+              !orphanIds.has(notification._id.toString())
+          )
+          .map((notification) => notification._id),
+      ];
+    }
+  );
+  await purge(Notification, notificationIds, "Orphaned notifications");
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Orphan purge failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
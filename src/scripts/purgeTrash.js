@@ -0,0 +1,33 @@
+// Permanently delete posts and comments that have been in the trash
+// longer than TRASH_RETENTION_DAYS (default 30). Meant to run on a
+// schedule, e.g. daily from cron.
+//
+// Usage: npm run purge:trash
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import {
+  getTrashRetentionDays,
+  purgeExpiredTrash,
+} from "../services/trashService.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const retentionDays = getTrashRetentionDays();
+  const { posts, comments, scrubbed } = await purgeExpiredTrash(retentionDays);
+
+  console.log(
+    `✅ Trash older than ${retentionDays} days purged: ${posts} posts, ${comments} comments deleted, ${scrubbed} comment placeholders scrubbed`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Trash purge failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,157 @@
+// Recompute the denormalized likeCount/reactionCounts/commentCount/
+// replyCount/liveDescendantCount/repostCount counters on posts and
+// comments from the Like, Comment and Post collections. Items in the
+// trash don't count.
+//
+// Usage: npm run reconcile:counters
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Like, { REACTION_TYPES } from "../models/Like.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// Count documents per key among the given IDs, as a Map of id -> count
+const countBy = async (Model, match, key) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${key}`, count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+// Count live comments below each of the given comments, at any depth
+const countLiveDescendants = async (ids) => {
+  const rows = await Comment.aggregate([
+    { $match: { ancestors: { $in: ids }, deletedAt: null } },
+    { $unwind: "$ancestors" },
+    { $match: { ancestors: { $in: ids } } },
+    { $group: { _id: "$ancestors", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+// Counter field names, with dotted paths for the per-type reaction counts
+const reactionFields = REACTION_TYPES.map((type) => `reactionCounts.${type}`);
+
+// Read a possibly dotted field from a lean document
+const getField = (doc, field) =>
+  field
+    .split(".")
+    .reduce((value, key) => (value ? value[key] : undefined), doc);
+
+// Count reactions per target for each type, keyed by reactionFields
+const countReactions = async (targetType, ids) => {
+  const counts = {};
+  for (const type of REACTION_TYPES) {
+    counts[`reactionCounts.${type}`] = await countBy(
+      Like,
+      {
+        targetType,
+        targetId: { $in: ids },
+        // Likes from before reactions existed have no type
+        type: type === "like" ? { $in: [type, null] } : type,
+      },
+      "targetId"
+    );
+  }
+  return counts;
+};
+
+// Walk a collection in batches, fixing counters that don't match
+const reconcile = async (Model, fields, computeCounts) => {
+  let fixed = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const counts = await computeCounts(batch.map((doc) => doc._id));
+
+    const ops = batch
+      .map((doc) => {
+        const update = {};
+        fields.forEach((field) => {
+          const actual = counts[field].get(doc._id.toString()) || 0;
+          if (getField(doc, field) !== actual) update[field] = actual;
+        });
+        return Object.keys(update).length
+          ? {
+              updateOne: { filter: { _id: doc._id }, update: { $set: update } },
+            }
+          : null;
+      })
+      .filter(Boolean);
+
+    if (ops.length) await Model.bulkWrite(ops);
+    fixed += ops.length;
+    batch = [];
+  };
+
+  const cursor = Model.find().select(fields.join(" ")).lean().cursor();
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length === BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+
+  return fixed;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const postsFixed = await reconcile(
+    Post,
+    ["likeCount", "commentCount", "repostCount", ...reactionFields],
+    async (ids) => ({
+      ...(await countReactions("Post", ids)),
+      likeCount: await countBy(
+        Like,
+        { targetType: "Post", targetId: { $in: ids } },
+        "targetId"
+      ),
+      commentCount: await countBy(
+        Comment,
+        { post: { $in: ids }, deletedAt: null },
+        "post"
+      ),
+      repostCount: await countBy(
+        Post,
+        { repostOf: { $in: ids }, deletedAt: null },
+        "repostOf"
+      ),
+    })
+  );
+  console.log(`✅ Posts reconciled: ${postsFixed} updated`);
+
+  const commentsFixed = await reconcile(
+    Comment,
+    ["likeCount", "replyCount", "liveDescendantCount", ...reactionFields],
+    async (ids) => ({
+      ...(await countReactions("Comment", ids)),
+      likeCount: await countBy(
+        Like,
+        { targetType: "Comment", targetId: { $in: ids } },
+        "targetId"
+      ),
+      replyCount: await countBy(
+        Comment,
+        { parent: { $in: ids }, deletedAt: null },
+        "parent"
+      ),
+      liveDescendantCount: await countLiveDescendants(ids),
+    })
+  );
+  console.log(`✅ Comments reconciled: ${commentsFixed} updated`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Reconciliation failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -5,8 +5,14 @@ import cors from "cors";
 import morgan from "morgan";
 import connectDB from "./config/database.js";
 import authRoutes from "./routes/auth.js";
+import twoFactorRoutes from "./routes/twoFactor.js";
+import usersRoutes from "./routes/users.js";
+import bookmarksRoutes from "./routes/bookmarks.js";
 import postsRoutes from "./routes/posts.js";
 import commentsRoutes from "./routes/comments.js";
+import tagsRoutes from "./routes/tags.js";
+import searchRoutes from "./routes/search.js";
+import notificationsRoutes from "./routes/notifications.js";
 import { generalLimiter } from "./middleware/rateLimiter.js";
 import { errorHandler, notFound } from "./middleware/errorHandler.js";
 
@@ -53,8 +59,14 @@ app.get("/health", (req, res) => {
 
 // API routes
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/users", usersRoutes);
+app.use("/api/users/me/bookmarks", bookmarksRoutes);
 app.use("/api/posts", postsRoutes);
 app.use("/api/comments", commentsRoutes);
+app.use("/api/tags", tagsRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/notifications", notificationsRoutes);
 
 // 404 handler
 app.use(notFound);
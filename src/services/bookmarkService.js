@@ -0,0 +1,191 @@
+import mongoose from "mongoose";
+import Bookmark from "../models/Bookmark.js";
+import BookmarkCollection from "../models/BookmarkCollection.js";
+import Post from "../models/Post.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { HttpError } from "../utils/httpError.js";
+import { buildVisibilityFilter } from "./postAccess.js";
+import { cursorFilter, cursorSort, buildPage } from "../utils/pagination.js";
+
+// Saved posts and the named collections they can be filed in. Bookmarks
+// are private; a saved post the user can no longer see (privacy change,
+// trash) is left out of their list rather than deleted.
+
+const MAX_COLLECTIONS = 100;
+
+// Add isBookmarked to each post with one batched query
+export const withBookmarkInfo = async (posts, userId) => {
+  if (posts.length === 0) return [];
+
+  const savedIds = await Bookmark.find({
+    user: userId,
+    post: { $in: posts.map((post) => post._id) },
+  }).distinct("post");
+
+  const saved = new Set(savedIds.map((id) => id.toString()));
+
+  return posts.map((post) => ({
+    ...post,
+    isBookmarked: saved.has(post._id.toString()),
+  }));
+};
+
+// Load one of the user's collections, or throw a 404
+export const findOwnCollection = async (userId, collectionId) => {
+  const collection = mongoose.isValidObjectId(collectionId)
+    ? await BookmarkCollection.findOne({ _id: collectionId, user: userId })
+    : null;
+
+  if (!collection) throw new HttpError(404, "Collection not found");
+  return collection;
+};
+
+// Save a post, optionally into a collection. Saving an already saved post
+// moves it to the given collection (or out of any), so retries are safe.
+export const saveBookmark = async (userId, postId, collectionId = null) => {
+  const collection = collectionId
+    ? await findOwnCollection(userId, collectionId)
+    : null;
+
+  const upsert = () =>
+    Bookmark.findOneAndUpdate(
+      { user: userId, post: postId },
+      { $set: { bookmarkCollection: collection ? collection._id : null } },
+      { upsert: true, new: true }
+    );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Lost a race with a concurrent save of the same post; retry to update
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+// Remove a saved post (a no-op if it wasn't saved)
+export const removeBookmark = async (userId, postId) => {
+  await Bookmark.deleteOne({ user: userId, post: postId });
+};
+
+// List the user's saved posts that they can still see, most recently
+// saved first, with bookmarkedAt and collection added to each post.
+// collection is a collection ID, "none" for unfiled bookmarks, or omitted
+// for all of them.
+export const listBookmarks = async (userId, { collection, limit, cursor }) => {
+  const match = { user: userId, ...cursorFilter(cursor) };
+  if (collection === "none") {
+    match.bookmarkCollection = null;
+  } else if (collection) {
+    match.bookmarkCollection = (
+      await findOwnCollection(userId, collection)
+    )._id;
+  }
+
+  // Join each bookmark to its post only if the post is visible, so hidden
+  // posts don't leave holes in the page
+  const rows = await Bookmark.aggregate([
+    { $match: match },
+    { $sort: cursorSort() },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        let: { postId: "$post" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$_id", "$$postId"] },
+              ...(await buildVisibilityFilter(userId)),
+            },
+          },
+          { $project: { audience: 0 } },
+        ],
+        as: "post",
+      },
+    },
+    { $unwind: "$post" },
+    { $limit: limit + 1 },
+  ]);
+
+  const { items, nextCursor, hasMore } = buildPage(rows, limit);
+
+  const posts = await Post.populate(
+    items.map((bookmark) => bookmark.post),
+    { path: "author", select: PUBLIC_AUTHOR_FIELDS }
+  );
+
+  return {
+    bookmarks: posts.map((post, index) => ({
+      ...post,
+      bookmarkedAt: items[index].createdAt,
+      collection: items[index].bookmarkCollection,
+    })),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// List the user's collections by name, with how many posts each holds
+export const listCollections = async (userId) => {
+  const [collections, counts] = await Promise.all([
+    BookmarkCollection.find({ user: userId }).sort({ name: 1 }).lean(),
+    Bookmark.aggregate([
+      { $match: { user: userId, bookmarkCollection: { $ne: null } } },
+      { $group: { _id: "$bookmarkCollection", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countById = new Map(
+    counts.map((row) => [row._id.toString(), row.count])
+  );
+
+  return collections.map((collection) => ({
+    ...collection,
+    bookmarkCount: countById.get(collection._id.toString()) || 0,
+  }));
+};
+
+// Run a write that may hit the { user, name } unique index
+const withUniqueName = async (write) => {
+  try {
+    return await write();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, "A collection with this name already exists");
+    }
+    throw error;
+  }
+};
+
+// Create a collection
+export const createCollection = async (userId, name) => {
+  const count = await BookmarkCollection.countDocuments({ user: userId });
+  if (count >= MAX_COLLECTIONS) {
+    throw new HttpError(
+      400,
+      `You can't have more than ${MAX_COLLECTIONS} collections`
+    );
+  }
+
+  return withUniqueName(() =>
+    BookmarkCollection.create({ user: userId, name })
+  );
+};
+
+// Rename a collection
+export const renameCollection = async (userId, collectionId, name) => {
+  const collection = await findOwnCollection(userId, collectionId);
+  collection.name = name;
+  return withUniqueName(() => collection.save());
+};
+
+// Delete a collection. Its bookmarks are kept, just no longer filed.
+export const deleteCollection = async (userId, collectionId) => {
+  const collection = await findOwnCollection(userId, collectionId);
+
+  await Bookmark.updateMany(
+    { user: userId, bookmarkCollection: collection._id },
+    { $set: { bookmarkCollection: null } }
+  );
+  await collection.deleteOne();
+};
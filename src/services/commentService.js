@@ -0,0 +1,186 @@
+import Comment from "../models/Comment.js";
+import Post from "../models/Post.js";
+import { REACTION_TYPES } from "../models/Like.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { withLikeInfo } from "./likeService.js";
+import { cursorFilter, cursorSort, buildPage } from "../utils/pagination.js";
+
+// Replies shown inline under each top-level comment; the rest load
+// through GET /api/comments/:id/replies
+const REPLY_PREVIEW_LIMIT = 3;
+
+// Live comments, plus deleted ones that still anchor a live reply at any
+// depth (a deleted reply can sit between them)
+const inThreadFilter = {
+  $or: [{ deletedAt: null }, { liveDescendantCount: { $gt: 0 } }],
+};
+
+// Show a deleted comment as a "[deleted]" placeholder
+const maskDeleted = (comment) =>
+  comment.deletedAt
+    ? {
+        ...comment,
+        text: "[deleted]",
+        author: null,
+        mentions: [],
+        likeCount: 0,
+        reactionCounts: Object.fromEntries(
+          REACTION_TYPES.map((type) => [type, 0])
+        ),
+        isLiked: false,
+        viewerReaction: null,
+        isDeleted: true,
+      }
+    : comment;
+
+// Get the first few replies of each comment in one query. The $lookup
+// sub-pipeline sorts and limits per parent (served by the parent index),
+// so a busy thread never loads all of its replies.
+const getReplyPreviews = async (commentIds) => {
+  const groups = await Comment.aggregate([
+    { $match: { _id: { $in: commentIds } } },
+    {
+      $lookup: {
+        from: Comment.collection.name,
+        let: { parentId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$parent", "$$parentId"] },
+              ...inThreadFilter,
+            },
+          },
+          { $sort: { createdAt: 1, _id: 1 } },
+          { $limit: REPLY_PREVIEW_LIMIT + 1 },
+        ],
+        as: "replies",
+      },
+    },
+    { $project: { replies: 1 } },
+  ]);
+
+  const previews = new Map();
+  for (const group of groups) {
+    const page = buildPage(group.replies, REPLY_PREVIEW_LIMIT);
+    previews.set(group._id.toString(), page);
+  }
+  return previews;
+};
+
+// Get a page of a post's top-level comments, oldest first, each with a
+// preview of its replies and like info
+export const listPostComments = async (
+  postId,
+  userId,
+  { limit = 20, cursor } = {}
+) => {
+  const found = await Comment.find({
+    post: postId,
+    parent: null,
+    $and: [inThreadFilter, cursorFilter(cursor, 1)],
+  })
+    .sort(cursorSort(1))
+    .limit(limit + 1)
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .lean();
+
+  const { items: comments, nextCursor, hasMore } = buildPage(found, limit);
+
+  const previews = await getReplyPreviews(
+    comments.map((comment) => comment._id)
+  );
+  const replies = [...previews.values()].flatMap((page) => page.items);
+  await Comment.populate(replies, {
+    path: "author",
+    select: PUBLIC_AUTHOR_FIELDS,
+  });
+
+  // One batched like lookup covers comments and replies together
+  const withLikes = await withLikeInfo(
+    [...comments, ...replies],
+    "Comment",
+    userId
+  );
+  const byId = new Map(
+    withLikes.map((item) => [item._id.toString(), maskDeleted(item)])
+  );
+
+  return {
+    comments: comments.map((comment) => {
+      const preview = previews.get(comment._id.toString());
+      return {
+        ...byId.get(comment._id.toString()),
+        replies: preview
+          ? preview.items.map((reply) => byId.get(reply._id.toString()))
+          : [],
+        repliesNextCursor: preview ? preview.nextCursor : null,
+        hasMoreReplies: preview ? preview.hasMore : false,
+      };
+    }),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// Get a page of replies to a comment, oldest first
+export const listReplies = async (
+  parentId,
+  userId,
+  { limit = 20, cursor } = {}
+) => {
+  const found = await Comment.find({
+    parent: parentId,
+    $and: [inThreadFilter, cursorFilter(cursor, 1)],
+  })
+    .sort(cursorSort(1))
+    .limit(limit + 1)
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .lean();
+
+  const { items, nextCursor, hasMore } = buildPage(found, limit);
+
+  return {
+    replies: (await withLikeInfo(items, "Comment", userId)).map(maskDeleted),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// Deepest allowed reply level (top-level comments are depth 0)
+export const getMaxCommentDepth = () =>
+  parseInt(process.env.MAX_COMMENT_DEPTH) || 5;
+
+// Atomically add delta to a comment's replyCount
+export const adjustReplyCount = async (commentId, delta) => {
+  const filter = { _id: commentId };
+  if (delta < 0) filter.replyCount = { $gte: -delta };
+
+  await Comment.updateOne(filter, { $inc: { replyCount: delta } });
+};
+
+// Atomically add delta to the liveDescendantCount of every comment above
+// one that was added, deleted or restored
+export const adjustLiveDescendantCount = async (
+  ancestorIds,
+  delta,
+  session = null
+) => {
+  if (ancestorIds.length === 0) return;
+
+  const filter = { _id: { $in: ancestorIds } };
+  if (delta < 0) filter.liveDescendantCount = { $gte: -delta };
+
+  await Comment.updateMany(
+    filter,
+    { $inc: { liveDescendantCount: delta } },
+    { session }
+  );
+};
+
+// Atomically add delta to a post's commentCount
+export const adjustCommentCount = async (postId, delta) => {
+  const filter = { _id: postId };
+  if (delta < 0) filter.commentCount = { $gte: -delta };
+
+  await Post.updateOne(filter, { $inc: { commentCount: delta } });
+};
@@ -0,0 +1,163 @@
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Like from "../models/Like.js";
+import Revision from "../models/Revision.js";
+import Bookmark from "../models/Bookmark.js";
+import Notification from "../models/Notification.js";
+import {
+  deleteFromCloudinary,
+  getPublicIdFromUrl,
+} from "../middleware/upload.js";
+
+// Cascading deletes for posts and comments. The database work runs in a
+// transaction when the deployment supports one (replica set or sharded
+// cluster); on a standalone server it runs without one.
+
+// Standalone servers reject transactions with IllegalOperation (code 20)
+const isTransactionUnsupported = (error) =>
+  error.code === 20 ||
+  /Transaction numbers are only allowed/.test(error.message || "");
+
+// Run fn(session) in a transaction, or with no session if unsupported
+export const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    // Nothing was written: the first operation is the one that fails
+    if (isTransactionUnsupported(error)) {
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Delete comments and everything attached to them (likes, revisions,
+// notifications)
+const purgeComments = async (commentIds, session) => {
+  if (commentIds.length === 0) return 0;
+
+  await Like.deleteMany(
+    { targetType: "Comment", targetId: { $in: commentIds } },
+    { session }
+  );
+  await Revision.deleteMany(
+    { targetType: "Comment", targetId: { $in: commentIds } },
+    { session }
+  );
+  await Notification.deleteMany(
+    { targetType: "Comment", targetId: { $in: commentIds } },
+    { session }
+  );
+  const { deletedCount } = await Comment.deleteMany(
+    { _id: { $in: commentIds } },
+    { session }
+  );
+  return deletedCount;
+};
+
+// Delete posts and everything attached to them (comments, likes,
+// revisions, bookmarks, notifications). Returns how many posts were
+// deleted.
+const purgePosts = async (postIds, session) => {
+  const commentIds = await Comment.find({ post: { $in: postIds } })
+    .session(session)
+    .distinct("_id");
+
+  await purgeComments(commentIds, session);
+  await Like.deleteMany(
+    { targetType: "Post", targetId: { $in: postIds } },
+    { session }
+  );
+  await Revision.deleteMany(
+    { targetType: "Post", targetId: { $in: postIds } },
+    { session }
+  );
+  await Bookmark.deleteMany({ post: { $in: postIds } }, { session });
+  await Notification.deleteMany({ post: { $in: postIds } }, { session });
+  const { deletedCount } = await Post.deleteMany(
+    { _id: { $in: postIds } },
+    { session }
+  );
+  return deletedCount;
+};
+
+// Delete a post with its comments, likes, revisions, bookmarks,
+// notifications and plain reposts (with theirs), then its image. Returns
+// whether the post was still there to delete.
+export const deletePost = async (post) => {
+  const deleted = await runInTransaction(async (session) => {
+    // Plain reposts have nothing left to show; quote posts keep their text
+    const repostIds = await Post.find({ repostOf: post._id, content: "" })
+      .session(session)
+      .distinct("_id");
+
+    await purgePosts(repostIds, session);
+    return (await purgePosts([post._id], session)) > 0;
+  });
+
+  // Cloudinary isn't transactional; only remove the image once the post
+  // is really gone
+  const publicId = post.imagePublicId || getPublicIdFromUrl(post.image);
+  if (publicId) {
+    await deleteFromCloudinary(publicId);
+  }
+  return deleted;
+};
+
+// Delete a comment with its whole reply thread and their likes,
+// revisions and notifications, keeping the counters of the post, the
+// parent and the comments above it in step. Comments already in the trash
+// were taken out of the counters when trashed.
+export const deleteComment = async (comment) => {
+  await runInTransaction(async (session) => {
+    const thread = await Comment.find({
+      $or: [
+        { _id: comment._id },
+        { ancestors: comment._id },
+        { parent: comment._id },
+      ],
+    })
+      .select("_id deletedAt")
+      .session(session)
+      .lean();
+
+    const commentIds = thread.map((item) => item._id);
+    const liveCount = thread.filter((item) => !item.deletedAt).length;
+    const wasLive = thread.some(
+      (item) => item._id.equals(comment._id) && !item.deletedAt
+    );
+
+    await purgeComments(commentIds, session);
+
+    if (liveCount > 0) {
+      await Post.updateOne(
+        { _id: comment.post, commentCount: { $gte: liveCount } },
+        { $inc: { commentCount: -liveCount } },
+        { session }
+      );
+      await Comment.updateMany(
+        {
+          _id: { $in: comment.ancestors || [] },
+          liveDescendantCount: { $gte: liveCount },
+        },
+        { $inc: { liveDescendantCount: -liveCount } },
+        { session }
+      );
+    }
+    if (comment.parent && wasLive) {
+      await Comment.updateOne(
+        { _id: comment.parent, replyCount: { $gte: 1 } },
+        { $inc: { replyCount: -1 } },
+        { session }
+      );
+    }
+  });
+};
@@ -0,0 +1,39 @@
+import { sendMail } from "./mailer.js";
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:5173";
+
+// Send a password reset link
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Applify password",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      "We received a request to reset your password. Use the link below to choose a new one:",
+      link,
+      "",
+      "The link expires in 1 hour. If you didn't request this, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+// Send an email address verification link
+export const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your Applify email address",
+    text: [
+      `Hi ${user.firstName},`,
+      "",
+      "Please confirm your email address by opening the link below:",
+      link,
+      "",
+      "The link expires in 24 hours.",
+    ].join("\n"),
+  });
+};
@@ -0,0 +1,13 @@
+import { withLikeInfo } from "./likeService.js";
+import { withBookmarkInfo } from "./bookmarkService.js";
+import { withRepostInfo } from "./repostService.js";
+
+// Add everything a feed shows about each post for the viewer: reaction
+// counts and their own reaction, isBookmarked, and reposts' originals
+// (dropping plain reposts of posts they can't see). posts are lean
+// objects with the author populated.
+export const withPostInfo = async (posts, viewerId) => {
+  const withLikes = await withLikeInfo(posts, "Post", viewerId);
+  const withBookmarks = await withBookmarkInfo(withLikes, viewerId);
+  return withRepostInfo(withBookmarks, viewerId);
+};
@@ -0,0 +1,176 @@
+import Like, { REACTION_TYPES } from "../models/Like.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { cursorFilter, cursorSort, buildPage } from "../utils/pagination.js";
+
+// Likes and reactions for posts and comments. Every write is a single
+// atomic upsert or delete on the { user, targetType, targetId } unique
+// index, so repeated or concurrent requests can't create duplicates or
+// drift the counters. targetType is "Post" or "Comment".
+
+const targetModels = { Post, Comment };
+
+// Reaction counts with every type present (older documents may lack some)
+const formatReactionCounts = (counts = {}) =>
+  Object.fromEntries(REACTION_TYPES.map((type) => [type, counts[type] || 0]));
+
+// Add the reaction counts and the user's own reaction to each post or
+// comment. Counts come from the denormalized likeCount/reactionCounts
+// fields and the user's reactions from one batched query, so a page costs
+// one query however long it is.
+export const withLikeInfo = async (items, targetType, userId) => {
+  if (items.length === 0) return [];
+
+  const reactions = await Like.find({
+    targetType,
+    targetId: { $in: items.map((item) => item._id) },
+    user: userId,
+  })
+    .select("targetId type")
+    .lean();
+
+  const reactionByTarget = new Map(
+    reactions.map((like) => [like.targetId.toString(), like.type || "like"])
+  );
+
+  return items.map((item) => {
+    const viewerReaction = reactionByTarget.get(item._id.toString()) || null;
+    return {
+      ...item,
+      likeCount: item.likeCount || 0,
+      reactionCounts: formatReactionCounts(item.reactionCounts),
+      isLiked: viewerReaction !== null,
+      viewerReaction,
+    };
+  });
+};
+
+// Atomically apply per-type deltas (e.g. { like: -1, love: 1 }) to a post's
+// or comment's reactionCounts, keeping likeCount as their total, and
+// return the new counts. Counts never drop below zero.
+const adjustReactionCounts = async (targetType, targetId, changes) => {
+  const Model = targetModels[targetType];
+  const filter = { _id: targetId };
+  const inc = {};
+  let total = 0;
+
+  for (const [type, delta] of Object.entries(changes)) {
+    inc[`reactionCounts.${type}`] = delta;
+    if (delta < 0) filter[`reactionCounts.${type}`] = { $gte: -delta };
+    total += delta;
+  }
+  if (total !== 0) inc.likeCount = total;
+  if (total < 0) filter.likeCount = { $gte: -total };
+
+  const updated = Object.keys(inc).length
+    ? await Model.findOneAndUpdate(filter, { $inc: inc }, { new: true })
+        .select("likeCount reactionCounts")
+        .lean()
+    : null;
+  const target =
+    updated ||
+    (await Model.findById(targetId).select("likeCount reactionCounts").lean());
+
+  return {
+    likeCount: target ? target.likeCount || 0 : 0,
+    reactionCounts: formatReactionCounts(target && target.reactionCounts),
+  };
+};
+
+// Set the user's reaction on a post or comment, replacing any earlier one.
+// Returns the reaction with the target's updated counts.
+export const setReaction = async (targetType, targetId, userId, type) => {
+  const upsert = () =>
+    Like.findOneAndUpdate(
+      { user: userId, targetType, targetId },
+      { $set: { type } },
+      { upsert: true, new: false }
+    ).lean();
+
+  let previous;
+  try {
+    previous = await upsert();
+  } catch (error) {
+    // Two concurrent upserts can both try the insert; the loser retries
+    // and finds the winner's document
+    if (error.code !== 11000) throw error;
+    previous = await upsert();
+  }
+
+  const changes = {};
+  if (!previous) {
+    changes[type] = 1;
+  } else if ((previous.type || "like") !== type) {
+    changes[previous.type || "like"] = -1;
+    changes[type] = 1;
+  }
+
+  const counts = await adjustReactionCounts(targetType, targetId, changes);
+  return { reaction: type, ...counts };
+};
+
+// Remove the user's reaction from a post or comment, if any. Returns the
+// target's updated counts.
+export const removeReaction = async (targetType, targetId, userId) => {
+  const removed = await Like.findOneAndDelete({
+    user: userId,
+    targetType,
+    targetId,
+  }).lean();
+
+  const counts = await adjustReactionCounts(
+    targetType,
+    targetId,
+    removed ? { [removed.type || "like"]: -1 } : {}
+  );
+  return { reaction: null, ...counts };
+};
+
+// Toggle a like: remove the user's reaction if they have one (of any
+// type), otherwise add a "like". Kept for older clients; PUT/DELETE are
+// the idempotent alternatives.
+export const toggleLike = async (targetType, targetId, userId) => {
+  const removed = await Like.findOneAndDelete({
+    user: userId,
+    targetType,
+    targetId,
+  }).lean();
+
+  if (removed) {
+    const counts = await adjustReactionCounts(targetType, targetId, {
+      [removed.type || "like"]: -1,
+    });
+    return { reaction: null, ...counts };
+  }
+
+  return setReaction(targetType, targetId, userId, "like");
+};
+
+// List who reacted to a post or comment, newest first (cursor-paginated)
+export const listReactions = async (
+  targetType,
+  targetId,
+  { limit, cursor }
+) => {
+  const likes = await Like.find({
+    targetType,
+    targetId,
+    ...cursorFilter(cursor),
+  })
+    .sort(cursorSort())
+    .limit(limit + 1)
+    .populate("user", PUBLIC_AUTHOR_FIELDS);
+
+  const { items, nextCursor, hasMore } = buildPage(likes, limit);
+
+  return {
+    reactions: items.map((like) => ({
+      user: like.user,
+      reaction: like.type || "like",
+      likedAt: like.createdAt,
+    })),
+    nextCursor,
+    hasMore,
+  };
+};
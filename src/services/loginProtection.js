@@ -0,0 +1,118 @@
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+
+// Per-account brute-force protection. authLimiter limits by IP; this
+// limits by account, so spreading attempts across IPs doesn't help.
+// After LOGIN_MAX_ATTEMPTS consecutive failures the account is locked,
+// and each further failure doubles the lock, up to the configured cap.
+
+const maxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const baseLockMs = () =>
+  (parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1) * 60 * 1000;
+const maxLockMs = () =>
+  (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000;
+
+let dummyPasswordHash = null;
+
+// Milliseconds until a locked account may try again (0 if not locked).
+// `user` must be loaded with +lockUntil.
+export const getLockRemainingMs = (user) => {
+  if (!user.lockUntil) return 0;
+  return Math.max(0, user.lockUntil.getTime() - Date.now());
+};
+
+// Lock duration after the given number of consecutive failures (0 while
+// still under the limit)
+const getLockMs = (failedAttempts) => {
+  const overLimit = failedAttempts - maxAttempts();
+  if (overLimit < 0) return 0;
+  return Math.min(baseLockMs() * 2 ** overLimit, maxLockMs());
+};
+
+// Record a failed attempt and return the resulting lock duration in ms
+export const registerFailedLogin = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select("+failedLoginAttempts");
+
+  if (!user) return 0;
+
+  const lockMs = getLockMs(user.failedLoginAttempts);
+  if (lockMs > 0) {
+    await User.updateOne(
+      { _id: userId },
+      { lockUntil: new Date(Date.now() + lockMs) }
+    );
+  }
+
+  return lockMs;
+};
+
+// Lock state for an email with no account, so it answers like a real one
+export const getUnknownEmailLockRemainingMs = async (email) => {
+  const attempt = await LoginAttempt.findOne({ email }).lean();
+  return attempt ? getLockRemainingMs(attempt) : 0;
+};
+
+// Record a failed attempt for an email with no account and return the
+// resulting lock duration in ms
+export const registerFailedUnknownLogin = async (email) => {
+  const increment = () =>
+    LoginAttempt.findOneAndUpdate(
+      { email },
+      { $inc: { failedLoginAttempts: 1 } },
+      { upsert: true, new: true }
+    );
+
+  let attempt;
+  try {
+    attempt = await increment();
+  } catch (error) {
+    // Lost a race to create the record; retry to update it
+    if (error.code !== 11000) throw error;
+    attempt = await increment();
+  }
+
+  const lockMs = getLockMs(attempt.failedLoginAttempts);
+  if (lockMs > 0) {
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      { lockUntil: new Date(Date.now() + lockMs) }
+    );
+  }
+
+  return lockMs;
+};
+
+// Clear the failure counter after a successful login
+export const resetFailedLogins = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { failedLoginAttempts: 0, lockUntil: null }
+  );
+};
+
+// Spend the same bcrypt time as a real check when no account matches,
+// so response timing doesn't reveal which emails are registered
+export const compareDummyPassword = async (candidatePassword) => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash("applify-timing-dummy", 10);
+  }
+  await bcrypt.compare(candidatePassword, dummyPasswordHash);
+  return false;
+};
+
+// Respond to a request for a locked account
+export const sendLockedResponse = (res, lockMs) => {
+  const retryAfter = Math.ceil(lockMs / 1000);
+
+  res.set("Retry-After", String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${retryAfter} seconds.`,
+    retryAfter,
+  });
+};
@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Mail transports. Each one receives { from, to, subject, text } and
+// delivers it. The built-in ones need no SMTP server, which keeps local
+// development and tests self-contained; register a real transport
+// (SMTP, SES, ...) at startup with registerTransport().
+const transports = {
+  // Print messages to the server log
+  console: async (message) => {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+  },
+
+  // Write each message to its own file in MAIL_OUTBOX_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto
+      .randomBytes(4)
+      .toString("hex")}.eml`;
+    const contents = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "",
+      message.text,
+      "",
+    ].join("\n");
+
+    await fs.writeFile(path.join(dir, fileName), contents);
+  },
+};
+
+// Add or replace a transport by name
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Send a message through the transport selected by MAIL_TRANSPORT
+export const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "Applify <no-reply@applify.local>",
+    to,
+    subject,
+    text,
+  });
+};
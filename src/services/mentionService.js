@@ -0,0 +1,78 @@
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { buildVisibilityFilter } from "./postAccess.js";
+import { withLikeInfo } from "./likeService.js";
+import { cursorFilter, cursorSort, buildPage } from "../utils/pagination.js";
+
+// Where a user has been @mentioned. Mentions are stored on posts and
+// comments when they are saved, but a mention never grants access: only
+// posts the user can see, and comments on those posts, are listed.
+
+// Posts mentioning the user, newest first. Returns lean posts with the
+// author populated, ready for withPostInfo().
+export const listMentioningPosts = async (userId, { limit, cursor }) => {
+  const posts = await Post.find({
+    "mentions.user": userId,
+    $and: [await buildVisibilityFilter(userId), cursorFilter(cursor)],
+  })
+    .select("-audience")
+    .sort(cursorSort())
+    .limit(limit + 1)
+    .populate("author", PUBLIC_AUTHOR_FIELDS)
+    .lean();
+
+  return buildPage(posts, limit);
+};
+
+// Comments mentioning the user on posts they can see, newest first, each
+// with a short summary of its post
+export const listMentioningComments = async (userId, { limit, cursor }) => {
+  // Join each comment to its post only if the post is visible, so hidden
+  // posts don't leave holes in the page
+  const rows = await Comment.aggregate([
+    {
+      $match: {
+        "mentions.user": userId,
+        deletedAt: null,
+        ...cursorFilter(cursor),
+      },
+    },
+    { $sort: cursorSort() },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        let: { postId: "$post" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$_id", "$$postId"] },
+              ...(await buildVisibilityFilter(userId)),
+            },
+          },
+          { $project: { content: 1, author: 1, createdAt: 1 } },
+        ],
+        as: "post",
+      },
+    },
+    { $unwind: "$post" },
+    { $limit: limit + 1 },
+  ]);
+
+  const { items, nextCursor, hasMore } = buildPage(rows, limit);
+
+  const comments = await Comment.populate(items, [
+    { path: "author", select: PUBLIC_AUTHOR_FIELDS },
+    {
+      path: "post.author",
+      model: "User",
+      select: PUBLIC_AUTHOR_FIELDS,
+    },
+  ]);
+
+  return {
+    items: await withLikeInfo(comments, "Comment", userId),
+    nextCursor,
+    hasMore,
+  };
+};
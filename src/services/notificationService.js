@@ -0,0 +1,373 @@
+import Notification, {
+  NOTIFICATION_TYPES,
+  MAX_STORED_ACTORS,
+} from "../models/Notification.js";
+import User, { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import Post from "../models/Post.js";
+import { buildVisibilityFilter, canViewPost } from "./postAccess.js";
+import { cursorFilter, cursorSort, buildPage } from "../utils/pagination.js";
+
+// In-app notifications. Route handlers report events through the
+// notify*() helpers below, which group them per recipient (see the
+// Notification model), skip muted types and self-notifications, and never
+// tell anyone about a post they can't see. They never throw: failing to
+// notify must not fail the action that caused it.
+
+// Actors shown on each notification in lists
+const ACTOR_PREVIEW_COUNT = 3;
+
+const idOf = (value) => (value && value._id) || value;
+
+const groupKeyOf = (type, targetType, targetId) =>
+  `${type}:${targetType}:${targetId}`;
+
+// Add an actor to the recipient's open notification for this event,
+// creating it if needed
+const notify = async ({
+  recipient,
+  actor,
+  type,
+  targetType,
+  targetId,
+  post,
+}) => {
+  try {
+    recipient = idOf(recipient);
+    if (!recipient || recipient.toString() === actor.toString()) return;
+
+    const user = await User.findById(recipient)
+      .select("mutedNotificationTypes")
+      .lean();
+    if (!user || (user.mutedNotificationTypes || []).includes(type)) return;
+
+    if (post && !(await canViewPost({ _id: recipient }, post))) return;
+
+    const otherActors = {
+      $filter: {
+        input: { $ifNull: ["$actors", []] },
+        cond: { $ne: ["$$this", actor] },
+      },
+    };
+    const isNewActor = {
+      $not: { $in: [actor, { $ifNull: ["$actors", []] }] },
+    };
+
+    // Pipeline update: move the actor to the front, count them once
+    const upsert = () =>
+      Notification.updateOne(
+        {
+          recipient,
+          groupKey: groupKeyOf(type, targetType, targetId),
+          read: false,
+        },
+        [
+          {
+            $set: {
+              type,
+              targetType,
+              targetId,
+              post: post ? post._id : null,
+              actors: {
+                $slice: [
+                  { $concatArrays: [[actor], otherActors] },
+                  MAX_STORED_ACTORS,
+                ],
+              },
+              actorCount: {
+                $add: [
+                  { $ifNull: ["$actorCount", 0] },
+                  { $cond: [isNewActor, 1, 0] },
+                ],
+              },
+              readAt: null,
+              latestAt: "$$NOW",
+              createdAt: { $ifNull: ["$createdAt", "$$NOW"] },
+              updatedAt: "$$NOW",
+            },
+          },
+        ],
+        { upsert: true, timestamps: false }
+      );
+
+    try {
+      await upsert();
+    } catch (error) {
+      // Lost a race to open the group; retry to join it
+      if (error.code !== 11000) throw error;
+      await upsert();
+    }
+  } catch (error) {
+    console.error("Error creating notification:", error);
+  }
+};
+
+// Take an actor back out of an open notification (unlike, unfollow, ...),
+// dropping the notification once nobody is left
+const retract = async ({ recipient, actor, type, targetType, targetId }) => {
+  try {
+    const filter = {
+      recipient: idOf(recipient),
+      groupKey: groupKeyOf(type, targetType, targetId),
+      read: false,
+    };
+
+    await Notification.updateOne({ ...filter, actors: actor }, [
+      {
+        $set: {
+          actors: {
+            $filter: { input: "$actors", cond: { $ne: ["$$this", actor] } },
+          },
+          actorCount: { $max: [{ $subtract: ["$actorCount", 1] }, 0] },
+        },
+      },
+    ]);
+    await Notification.deleteOne({ ...filter, actorCount: 0 });
+  } catch (error) {
+    console.error("Error retracting notification:", error);
+  }
+};
+
+// Someone reacted to a post or comment
+export const notifyReaction = (actor, targetType, target, post) =>
+  notify({
+    recipient: target.author,
+    actor,
+    type: "reaction",
+    targetType,
+    targetId: target._id,
+    post,
+  });
+
+export const retractReaction = (actor, targetType, target) =>
+  retract({
+    recipient: target.author,
+    actor,
+    type: "reaction",
+    targetType,
+    targetId: target._id,
+  });
+
+// Someone commented on a post (grouped per post)
+export const notifyComment = (actor, post) =>
+  notify({
+    recipient: post.author,
+    actor,
+    type: "comment",
+    targetType: "Post",
+    targetId: post._id,
+    post,
+  });
+
+// Someone replied to a comment (grouped per parent comment)
+export const notifyReply = (actor, parent, post) =>
+  notify({
+    recipient: parent.author,
+    actor,
+    type: "reply",
+    targetType: "Comment",
+    targetId: parent._id,
+    post,
+  });
+
+// Users mentioned in a post or comment. Pass the mentions from before an
+// edit as previousMentions so only newly mentioned users are notified.
+export const notifyMentions = async (
+  actor,
+  { post, comment = null, mentions, previousMentions = [] }
+) => {
+  const alreadyMentioned = new Set(
+    previousMentions.map((mention) => mention.user.toString())
+  );
+  const recipients = new Set(
+    mentions
+      .map((mention) => mention.user.toString())
+      .filter((userId) => !alreadyMentioned.has(userId))
+  );
+
+  for (const recipient of recipients) {
+    await notify({
+      recipient,
+      actor,
+      type: "mention",
+      targetType: comment ? "Comment" : "Post",
+      targetId: comment ? comment._id : post._id,
+      post,
+    });
+  }
+};
+
+// Someone reposted or quoted a post (grouped per post)
+export const notifyRepost = (actor, original) =>
+  notify({
+    recipient: original.author,
+    actor,
+    type: "repost",
+    targetType: "Post",
+    targetId: original._id,
+    post: original,
+  });
+
+export const retractRepost = (actor, original) =>
+  retract({
+    recipient: original.author,
+    actor,
+    type: "repost",
+    targetType: "Post",
+    targetId: original._id,
+  });
+
+// Someone followed a user (grouped until read)
+export const notifyFollow = (actor, followedId) =>
+  notify({
+    recipient: followedId,
+    actor,
+    type: "follow",
+    targetType: "User",
+    targetId: followedId,
+    post: null,
+  });
+
+export const retractFollow = (actor, followedId) =>
+  retract({
+    recipient: followedId,
+    actor,
+    type: "follow",
+    targetType: "User",
+    targetId: followedId,
+  });
+
+const ACTIONS = {
+  reaction: (n) => `reacted to your ${n.targetType.toLowerCase()}`,
+  comment: () => "commented on your post",
+  reply: () => "replied to your comment",
+  mention: (n) => `mentioned you in a ${n.targetType.toLowerCase()}`,
+  repost: () => "reposted your post",
+  follow: () => "followed you",
+};
+
+// "Alice Smith", "Alice Smith and Bob Jones" or "Alice Smith and 4 others"
+const describeActors = (actors, actorCount) => {
+  const name = (user) => `${user.firstName} ${user.lastName}`;
+  if (actors.length === 0) return "Someone";
+  if (actorCount <= 1) return name(actors[0]);
+  if (actorCount === 2 && actors[1]) {
+    return `${name(actors[0])} and ${name(actors[1])}`;
+  }
+  const others = actorCount - 1;
+  return `${name(actors[0])} and ${others} ${
+    others === 1 ? "other" : "others"
+  }`;
+};
+
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  message: `${describeActors(
+    notification.actors,
+    notification.actorCount
+  )} ${ACTIONS[notification.type](notification)}`,
+  targetType: notification.targetType,
+  targetId: notification.targetId,
+  post: notification.post,
+  actors: notification.actors,
+  actorCount: notification.actorCount,
+  read: notification.read,
+  readAt: notification.readAt,
+  latestAt: notification.latestAt,
+  createdAt: notification.createdAt,
+});
+
+// Aggregation stages that drop notifications about posts the user can no
+// longer see, so list pages stay full and the unread count agrees with them
+const visibilityStages = async (userId) => [
+  {
+    $lookup: {
+      from: Post.collection.name,
+      let: { postId: "$post" },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ["$_id", "$$postId"] },
+            ...(await buildVisibilityFilter(userId)),
+          },
+        },
+        { $project: { _id: 1 } },
+      ],
+      as: "visiblePost",
+    },
+  },
+  { $match: { $or: [{ post: null }, { visiblePost: { $ne: [] } }] } },
+  { $project: { visiblePost: 0 } },
+];
+
+// List a user's notifications by latest activity (cursor-paginated).
+// Notifications about posts they can no longer see are left out.
+export const listNotifications = async (userId, { limit, cursor }) => {
+  const rows = await Notification.aggregate([
+    {
+      $match: { recipient: userId, ...cursorFilter(cursor, -1, "latestAt") },
+    },
+    { $sort: cursorSort(-1, "latestAt") },
+    ...(await visibilityStages(userId)),
+    { $limit: limit + 1 },
+    { $set: { actors: { $slice: ["$actors", ACTOR_PREVIEW_COUNT] } } },
+  ]);
+
+  const { items, nextCursor, hasMore } = buildPage(rows, limit, "latestAt");
+
+  const notifications = await Notification.populate(items, {
+    path: "actors",
+    select: PUBLIC_AUTHOR_FIELDS,
+  });
+
+  return {
+    notifications: notifications
+      .map((n) => ({ ...n, actors: n.actors.filter(Boolean) }))
+      .map(formatNotification),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// Unread notifications the user would see in their list
+export const countUnread = async (userId) => {
+  const [row] = await Notification.aggregate([
+    { $match: { recipient: userId, read: false } },
+    ...(await visibilityStages(userId)),
+    { $count: "count" },
+  ]);
+  return row ? row.count : 0;
+};
+
+// Mark notifications as read: the given IDs, or all of them when ids is
+// omitted. Returns how many changed.
+export const markRead = async (userId, ids = null) => {
+  const filter = { recipient: userId, read: false };
+  if (ids) filter._id = { $in: ids };
+
+  const { modifiedCount } = await Notification.updateMany(filter, {
+    $set: { read: true, readAt: new Date() },
+  });
+  return modifiedCount;
+};
+
+// Per-type preferences as { type: enabled }
+export const formatPreferences = (user) => {
+  const muted = new Set(user.mutedNotificationTypes || []);
+  return Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, !muted.has(type)])
+  );
+};
+
+// Apply { type: enabled } changes to a user's muted types
+export const updatePreferences = async (user, changes) => {
+  const muted = new Set(user.mutedNotificationTypes || []);
+  for (const [type, enabled] of Object.entries(changes)) {
+    if (enabled) muted.delete(type);
+    else muted.add(type);
+  }
+
+  user.mutedNotificationTypes = [...muted];
+  await user.save();
+  return formatPreferences(user);
+};
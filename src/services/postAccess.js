@@ -0,0 +1,56 @@
+import Follow from "../models/Follow.js";
+
+// Who can see a post, by privacy:
+//   public    - everyone
+//   followers - the author's followers
+//   custom    - users listed in the post's audience
+//   private   - only the author
+// Authors can always see their own posts. Posts in the trash (deletedAt
+// set) are hidden from everyone, authors included.
+
+export const PRIVACY_OPTIONS = ["public", "followers", "custom", "private"];
+
+// IDs of the users the viewer follows
+export const getFollowingIds = (viewerId) => {
+  return Follow.find({ follower: viewerId }).distinct("following");
+};
+
+// Mongo filter matching every post the viewer may see. Pass followingIds
+// when the caller has already loaded them.
+export const buildVisibilityFilter = async (viewerId, followingIds = null) => {
+  const following = followingIds || (await getFollowingIds(viewerId));
+
+  return {
+    deletedAt: null,
+    $or: [
+      { privacy: "public" },
+      { author: viewerId },
+      { privacy: "followers", author: { $in: following } },
+      { privacy: "custom", audience: viewerId },
+    ],
+  };
+};
+
+// Check whether the viewer may see a single post
+export const canViewPost = async (viewer, post) => {
+  if (post.deletedAt) return false;
+
+  const authorId = post.author._id || post.author;
+  if (authorId.toString() === viewer._id.toString()) return true;
+
+  switch (post.privacy) {
+    case "public":
+      return true;
+    case "followers":
+      return !!(await Follow.exists({
+        follower: viewer._id,
+        following: authorId,
+      }));
+    case "custom":
+      return (post.audience || []).some(
+        (id) => id.toString() === viewer._id.toString()
+      );
+    default:
+      return false;
+  }
+};
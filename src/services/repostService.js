@@ -0,0 +1,171 @@
+import Post from "../models/Post.js";
+import { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { HttpError } from "../utils/httpError.js";
+import { buildVisibilityFilter, canViewPost } from "./postAccess.js";
+import { withLikeInfo } from "./likeService.js";
+import { withBookmarkInfo } from "./bookmarkService.js";
+import { deletePost } from "./deletionService.js";
+
+// Reposts share someone else's post. A plain repost is a post with
+// repostOf set and no content of its own; a quote post adds its own text.
+// The original is only ever shown to viewers who may see it, so a plain
+// repost disappears when its original becomes hidden, and a quote post
+// shows `original: null`.
+
+export const isPlainRepost = (post) => !!post.repostOf && !post.content;
+
+// Atomically add delta to a post's repostCount (never below zero)
+export const adjustRepostCount = async (postId, delta) => {
+  const filter = { _id: postId };
+  if (delta < 0) filter.repostCount = { $gte: -delta };
+
+  await Post.updateOne(filter, { $inc: { repostCount: delta } });
+};
+
+// Find the post a repost of `post` should point at: reposting a plain
+// repost shares its original instead. Throws a 404 if the viewer can't
+// see it and a 400 for private posts.
+export const resolveRepostTarget = async (viewer, post) => {
+  let target = post;
+  if (isPlainRepost(post)) {
+    target = await Post.findById(post.repostOf);
+    if (!target || !(await canViewPost(viewer, target))) {
+      throw new HttpError(404, "Post not found");
+    }
+  }
+
+  if (target.privacy === "private") {
+    throw new HttpError(400, "Private posts can't be reposted");
+  }
+  return target;
+};
+
+// Repost a post, or restore an earlier repost that was moved to the
+// trash. Reposting twice is a no-op. Returns { post, alreadyReposted },
+// where alreadyReposted is true for that no-op.
+export const repost = async (userId, original) => {
+  const upsert = () =>
+    Post.findOneAndUpdate(
+      { author: userId, repostOf: original._id, content: "" },
+      { $set: { deletedAt: null } },
+      { upsert: true, new: false }
+    ).lean();
+
+  let previous;
+  try {
+    previous = await upsert();
+  } catch (error) {
+    // Lost a race with a concurrent repost; retry to find it
+    if (error.code !== 11000) throw error;
+    previous = await upsert();
+  }
+
+  const alreadyReposted = !!previous && !previous.deletedAt;
+  if (!alreadyReposted) {
+    await adjustRepostCount(original._id, 1);
+  }
+
+  const post = await Post.findOne({
+    author: userId,
+    repostOf: original._id,
+    content: "",
+  });
+  return { post, alreadyReposted };
+};
+
+// Quote a post: a new post with its own text that embeds the original
+export const quotePost = async (userId, original, content) => {
+  const post = await Post.create({
+    author: userId,
+    content,
+    repostOf: original._id,
+  });
+  await adjustRepostCount(original._id, 1);
+  return post;
+};
+
+// Undo the user's plain repost of a post (a no-op if there is none).
+// Returns whether a repost was removed.
+export const undoRepost = async (userId, originalId) => {
+  const existing = await Post.findOne({
+    author: userId,
+    repostOf: originalId,
+    content: "",
+  }).lean();
+  if (!existing) return false;
+
+  // The repost can be liked, commented on and saved like any post, so it
+  // goes through the full cascade. Only the request that actually deleted
+  // it adjusts the count.
+  const removed = await deletePost(existing);
+
+  // A trashed repost was already taken out of the count
+  if (removed && !existing.deletedAt) {
+    await adjustRepostCount(originalId, -1);
+  }
+  return removed;
+};
+
+// Attach each repost's original post, with its author and the viewer's
+// reaction and bookmark status, as `original`, and flag the posts the
+// viewer has reposted with isReposted. Plain reposts whose original the
+// viewer can't see are dropped, so a page can come back short.
+export const withRepostInfo = async (posts, viewerId) => {
+  if (posts.length === 0) return [];
+
+  const originalIds = [
+    ...new Set(
+      posts.filter((post) => post.repostOf).map((p) => p.repostOf.toString())
+    ),
+  ];
+
+  const originals = originalIds.length
+    ? await Post.find({
+        _id: { $in: originalIds },
+        ...(await buildVisibilityFilter(viewerId)),
+      })
+        .select("-audience")
+        .populate("author", PUBLIC_AUTHOR_FIELDS)
+        .lean()
+    : [];
+
+  const originalsWithInfo = await withBookmarkInfo(
+    await withLikeInfo(originals, "Post", viewerId),
+    viewerId
+  );
+
+  // Which of the shown posts the viewer has reposted themselves
+  const shownIds = [
+    ...posts.map((post) => post._id),
+    ...originals.map((post) => post._id),
+  ];
+  const repostedIds = await Post.find({
+    author: viewerId,
+    repostOf: { $in: shownIds },
+    content: "",
+    deletedAt: null,
+  }).distinct("repostOf");
+  const reposted = new Set(repostedIds.map((id) => id.toString()));
+
+  const originalById = new Map(
+    originalsWithInfo.map((post) => [
+      post._id.toString(),
+      { ...post, isReposted: reposted.has(post._id.toString()) },
+    ])
+  );
+
+  return posts
+    .map((post) => {
+      const withFlag = {
+        ...post,
+        isReposted: reposted.has(post._id.toString()),
+      };
+      if (!post.repostOf) return withFlag;
+
+      return {
+        ...withFlag,
+        original: originalById.get(post.repostOf.toString()) || null,
+      };
+    })
+    .filter((post) => !(isPlainRepost(post) && !post.original));
+};
@@ -0,0 +1,40 @@
+import Revision from "../models/Revision.js";
+import { cursorFilter, cursorSort, buildPage } from "../utils/pagination.js";
+
+// Save the content a post or comment had before an edit
+export const recordRevision = (targetType, targetId, content, userId) => {
+  return Revision.create({
+    targetType,
+    targetId,
+    content,
+    editedBy: userId,
+  });
+};
+
+// Get a page of previous versions, newest first
+export const listRevisions = async (
+  targetType,
+  targetId,
+  { limit = 20, cursor } = {}
+) => {
+  const revisions = await Revision.find({
+    targetType,
+    targetId,
+    ...cursorFilter(cursor),
+  })
+    .sort(cursorSort())
+    .limit(limit + 1)
+    .lean();
+
+  const { items, nextCursor, hasMore } = buildPage(revisions, limit);
+
+  return {
+    revisions: items.map((revision) => ({
+      id: revision._id,
+      content: revision.content,
+      replacedAt: revision.createdAt,
+    })),
+    nextCursor,
+    hasMore,
+  };
+};
@@ -0,0 +1,164 @@
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import User, { PUBLIC_AUTHOR_FIELDS } from "../models/User.js";
+import { buildVisibilityFilter } from "./postAccess.js";
+import { withLikeInfo } from "./likeService.js";
+import { parseSearchTerms, buildSnippet } from "../utils/snippets.js";
+import { scoreCursorFilter, buildScorePage } from "../utils/pagination.js";
+
+// Full-text search over posts, comments and people, using MongoDB text
+// indexes. Results are ranked by relevance and paged with score cursors.
+// Post and comment results go through the same visibility filter as
+// feeds, so search never surfaces a post the viewer couldn't open.
+
+const PUBLIC_USER_FIELDS = "firstName lastName username bio avatar createdAt";
+
+// Score each text match, skip to the cursor and sort best first
+const rankStages = (cursor) => [
+  { $addFields: { score: { $meta: "textScore" } } },
+  { $match: scoreCursorFilter(cursor) },
+  { $sort: { score: -1, _id: -1 } },
+];
+
+// Posts the viewer can see. Returns lean posts with the author populated
+// and a `snippet`, ready for withPostInfo().
+export const searchPosts = async (viewerId, q, { limit, cursor }) => {
+  const rows = await Post.aggregate([
+    {
+      $match: {
+        $text: { $search: q },
+        ...(await buildVisibilityFilter(viewerId)),
+      },
+    },
+    ...rankStages(cursor),
+    { $limit: limit + 1 },
+    { $project: { audience: 0 } },
+  ]);
+
+  const { items, nextCursor, hasMore } = buildScorePage(rows, limit);
+  const terms = parseSearchTerms(q);
+
+  const posts = await Post.populate(items, {
+    path: "author",
+    select: PUBLIC_AUTHOR_FIELDS,
+  });
+
+  return {
+    items: posts.map(({ score, ...post }) => ({
+      ...post,
+      snippet: buildSnippet(post.content, terms),
+    })),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// Comments on posts the viewer can see, each with a short summary of its
+// post
+export const searchComments = async (viewerId, q, { limit, cursor }) => {
+  const visibility = await buildVisibilityFilter(viewerId);
+
+  const rows = await Comment.aggregate([
+    { $match: { $text: { $search: q }, deletedAt: null } },
+    ...rankStages(cursor),
+    // Join each comment to its post only if the post is visible, so hidden
+    // posts don't leave holes in the page
+    {
+      $lookup: {
+        from: Post.collection.name,
+        let: { postId: "$post" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$postId"] }, ...visibility } },
+          { $project: { content: 1, author: 1, createdAt: 1 } },
+        ],
+        as: "post",
+      },
+    },
+    { $unwind: "$post" },
+    { $limit: limit + 1 },
+  ]);
+
+  const { items, nextCursor, hasMore } = buildScorePage(rows, limit);
+  const terms = parseSearchTerms(q);
+
+  const comments = await Comment.populate(items, [
+    { path: "author", select: PUBLIC_AUTHOR_FIELDS },
+    {
+      path: "post.author",
+      model: "User",
+      select: PUBLIC_AUTHOR_FIELDS,
+    },
+  ]);
+  const withLikes = await withLikeInfo(comments, "Comment", viewerId);
+
+  return {
+    items: withLikes.map(({ score, ...comment }) => ({
+      ...comment,
+      snippet: buildSnippet(comment.text, terms),
+    })),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// People, matched on username and name
+export const searchUsers = async (q, { limit, cursor }) => {
+  const rows = await User.aggregate([
+    { $match: { $text: { $search: q } } },
+    ...rankStages(cursor),
+    { $limit: limit + 1 },
+    // Only public profile fields leave the server
+    {
+      $project: Object.fromEntries(
+        [...PUBLIC_USER_FIELDS.split(" "), "score"].map((field) => [field, 1])
+      ),
+    },
+  ]);
+
+  const { items, nextCursor, hasMore } = buildScorePage(rows, limit);
+
+  return {
+    items: items.map(({ _id, score, ...user }) => ({ id: _id, ...user })),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// Escape a string for use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Users whose username or name starts with the prefix, for the mention
+// picker. Username matches come first.
+export const autocompleteUsers = async (prefix, { limit }) => {
+  const text = prefix.replace(/^@/, "").trim();
+  if (!text) return [];
+
+  const pattern = escapeRegExp(text.toLowerCase());
+
+  // The username prefix uses the username index; names are a fallback
+  const byUsername = await User.find({ username: new RegExp(`^${pattern}`) })
+    .select(PUBLIC_USER_FIELDS)
+    .sort({ username: 1 })
+    .limit(limit)
+    .lean();
+
+  const byName =
+    byUsername.length < limit
+      ? await User.find({
+          _id: { $nin: byUsername.map((user) => user._id) },
+          $or: [
+            { firstName: new RegExp(`^${pattern}`, "i") },
+            { lastName: new RegExp(`^${pattern}`, "i") },
+          ],
+        })
+          .select(PUBLIC_USER_FIELDS)
+          .sort({ firstName: 1, lastName: 1 })
+          .limit(limit - byUsername.length)
+          .lean()
+      : [];
+
+  return [...byUsername, ...byName].map(({ _id, ...user }) => ({
+    id: _id,
+    ...user,
+  }));
+};
@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { generateToken } from "../utils/jwt.js";
+import { generateRandomToken, hashToken } from "../utils/tokens.js";
+import { HttpError } from "../utils/httpError.js";
+
+// Read lazily: dotenv is configured after module imports are evaluated
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+// Minimum time between last-seen writes for the same session
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+// Rotated-out refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const issueTokens = (user, session, secret) => ({
+  token: generateToken({
+    id: user._id,
+    email: user.email,
+    sid: session._id,
+  }),
+  refreshToken: `${session._id}.${secret}`,
+});
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw new HttpError(401, "Invalid refresh token");
+  }
+  return { sessionId, secret };
+};
+
+// Device details recorded on a session
+export const getClientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 500) || null,
+  ip: req.ip || null,
+});
+
+// Start a new session for a user and return its access and refresh tokens
+export const createSession = async (user, clientInfo = {}) => {
+  const secret = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    userAgent: clientInfo.userAgent || null,
+    ip: clientInfo.ip || null,
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+export const rotateSession = async (refreshToken, clientInfo = {}) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const secretHash = hashToken(secret);
+  const nextSecret = generateRandomToken();
+
+  // Atomic compare-and-swap, so two concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: secretHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+        lastSeenAt: new Date(),
+        ...(clientInfo.ip && { ip: clientInfo.ip }),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [secretHash],
+          $slice: -MAX_PREVIOUS_TOKEN_HASHES,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token this session already rotated out was replayed: assume it was
+    // stolen and revoke the whole family. Any other secret is just wrong;
+    // knowing the session ID alone must not be enough to end a session.
+    const existing = await Session.findOne({
+      _id: sessionId,
+      previousTokenHashes: secretHash,
+    });
+    if (existing && existing.isActive()) {
+      await revokeSession(existing._id, "reuse_detected");
+      throw new HttpError(
+        401,
+        "Refresh token reuse detected. Please log in again."
+      );
+    }
+    throw new HttpError(401, "Invalid or expired refresh token");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id, "logout");
+    throw new HttpError(401, "Invalid refresh token. User not found.");
+  }
+
+  return issueTokens(user, session, nextSecret);
+};
+
+// Record activity on a session, at most once per throttle window
+export const touchSession = async (session) => {
+  const now = Date.now();
+  if (
+    session.lastSeenAt &&
+    now - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS
+  ) {
+    return;
+  }
+
+  session.lastSeenAt = new Date(now);
+  await Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: session.lastSeenAt }
+  );
+};
+
+// List the active sessions of a user, most recently used first
+export const listActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+// Revoke a single session
+export const revokeSession = async (sessionId, reason = "logout") => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+export const revokeAllSessions = async (
+  userId,
+  { except = null, reason = "logout_all" } = {}
+) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
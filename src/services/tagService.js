@@ -0,0 +1,60 @@
+import Post from "../models/Post.js";
+
+// Trending tags: the hashtags used on the most public posts over a
+// sliding window (TRENDING_WINDOW_HOURS, default 24). Tags are ranked by
+// how many different people used them, then by how many posts, so one
+// account repeating a tag can't push it up the list. Only public posts
+// count, so trends never reveal what's in followers-only or private posts.
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Last result per limit, so a busy sidebar doesn't run the aggregation on
+// every request
+const cache = new Map();
+
+export const getTrendingWindowHours = () =>
+  parseInt(process.env.TRENDING_WINDOW_HOURS) || 24;
+
+export const getTrendingTags = async ({ limit = 10 } = {}) => {
+  const cached = cache.get(limit);
+  if (cached && cached.expiresAt > Date.now()) return cached.tags;
+
+  const windowHours = getTrendingWindowHours();
+  const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+
+  const rows = await Post.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: since },
+        privacy: "public",
+        deletedAt: null,
+        "tags.0": { $exists: true },
+      },
+    },
+    { $unwind: "$tags" },
+    {
+      $group: {
+        _id: "$tags",
+        postCount: { $sum: 1 },
+        authors: { $addToSet: "$author" },
+      },
+    },
+    {
+      $project: {
+        postCount: 1,
+        authorCount: { $size: "$authors" },
+      },
+    },
+    { $sort: { authorCount: -1, postCount: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  const tags = rows.map((row) => ({
+    tag: row._id,
+    postCount: row.postCount,
+    authorCount: row.authorCount,
+  }));
+
+  cache.set(limit, { tags, expiresAt: Date.now() + CACHE_TTL_MS });
+  return tags;
+};
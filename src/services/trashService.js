@@ -0,0 +1,122 @@
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Revision from "../models/Revision.js";
+import {
+  adjustCommentCount,
+  adjustReplyCount,
+  adjustLiveDescendantCount,
+} from "./commentService.js";
+import { deletePost, deleteComment } from "./deletionService.js";
+import { adjustRepostCount } from "./repostService.js";
+
+// Soft delete: posts and comments go to the author's trash (deletedAt is
+// set) and can be restored until the retention period ends, when
+// purgeExpiredTrash() deletes them for good.
+
+const DELETED_PLACEHOLDER = "[deleted]";
+
+export const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Move a post to the trash. Its comments stay but are hidden with it.
+export const softDeletePost = async (post) => {
+  const result = await Post.updateOne(
+    { _id: post._id, deletedAt: null },
+    { deletedAt: new Date() }
+  );
+
+  if (result.modifiedCount === 1 && post.repostOf) {
+    await adjustRepostCount(post.repostOf, -1);
+  }
+};
+
+// Take a post out of the trash
+export const restorePost = async (post) => {
+  const result = await Post.updateOne(
+    { _id: post._id, deletedAt: { $ne: null } },
+    { deletedAt: null }
+  );
+
+  if (result.modifiedCount === 1 && post.repostOf) {
+    await adjustRepostCount(post.repostOf, 1);
+  }
+};
+
+// Move a comment to the trash. Replies stay visible under a "[deleted]"
+// placeholder, so the comment leaves the post's and parent's counts and
+// its ancestors' live descendants.
+export const softDeleteComment = async (comment) => {
+  const result = await Comment.updateOne(
+    { _id: comment._id, deletedAt: null },
+    { deletedAt: new Date() }
+  );
+
+  if (result.modifiedCount === 1) {
+    await adjustCommentCount(comment.post, -1);
+    if (comment.parent) await adjustReplyCount(comment.parent, -1);
+    await adjustLiveDescendantCount(comment.ancestors, -1);
+  }
+};
+
+// Take a comment out of the trash
+export const restoreComment = async (comment) => {
+  const result = await Comment.updateOne(
+    { _id: comment._id, deletedAt: { $ne: null } },
+    { deletedAt: null }
+  );
+
+  if (result.modifiedCount === 1) {
+    await adjustCommentCount(comment.post, 1);
+    if (comment.parent) await adjustReplyCount(comment.parent, 1);
+    await adjustLiveDescendantCount(comment.ancestors, 1);
+  }
+};
+
+// Permanently delete everything that has been in the trash longer than
+// the retention period. A comment is only deleted with its thread once
+// everything below it has expired too; one that still anchors live
+// replies or restorable ones keeps its placeholder, with its text and
+// history erased.
+export const purgeExpiredTrash = async (
+  retentionDays = getTrashRetentionDays()
+) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = { posts: 0, comments: 0, scrubbed: 0 };
+
+  const posts = Post.find({ deletedAt: { $ne: null, $lte: cutoff } }).cursor();
+  for await (const post of posts) {
+    await deletePost(post);
+    purged.posts++;
+  }
+
+  const comments = Comment.find({
+    deletedAt: { $ne: null, $lte: cutoff },
+  }).cursor();
+  for await (const comment of comments) {
+    // Live replies, or trashed ones still within their own retention
+    const hasKeptReplies = await Comment.exists({
+      ancestors: comment._id,
+      $or: [{ deletedAt: null }, { deletedAt: { $gt: cutoff } }],
+    });
+
+    if (hasKeptReplies) {
+      if (comment.text !== DELETED_PLACEHOLDER) {
+        await Comment.updateOne(
+          { _id: comment._id },
+          { text: DELETED_PLACEHOLDER, mentions: [] }
+        );
+        await Revision.deleteMany({
+          targetType: "Comment",
+          targetId: comment._id,
+        });
+        purged.scrubbed++;
+      }
+    } else if (await Comment.exists({ _id: comment._id })) {
+      // (an earlier purge in this run may already have removed it)
+      await deleteComment(comment);
+      purged.comments++;
+    }
+  }
+
+  return purged;
+};
@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { verifyTotp } from "../utils/totp.js";
+import { hashToken } from "../utils/tokens.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared case-insensitively and without dashes
+const normalizeRecoveryCode = (code) =>
+  String(code).toLowerCase().replace(/[\s-]/g, "");
+
+// Generate a fresh set of recovery codes and the hashes to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Verify a TOTP code against the user's active secret. A code (time step)
+// can only be used once, so an intercepted code can't be replayed.
+export const verifyTotpCode = async (userId, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { $lt: step } },
+      ],
+    },
+    { twoFactorLastUsedStep: step }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Consume a recovery code. Each code works exactly once.
+export const consumeRecoveryCode = async (userId, code) => {
+  const hash = hashToken(normalizeRecoveryCode(code));
+
+  const result = await User.updateOne(
+    { _id: userId, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Verify a second factor: a 6-digit TOTP code or a recovery code.
+// `user` must be loaded with +twoFactorSecret.
+export const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return false;
+  }
+
+  if (/^\d{6}$/.test(String(code).replace(/\s/g, ""))) {
+    return verifyTotpCode(user._id, user.twoFactorSecret, code);
+  }
+
+  return consumeRecoveryCode(user._id, code);
+};
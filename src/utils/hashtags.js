@@ -0,0 +1,41 @@
+// Hashtag parsing. Tags are stored normalized (NFKC, lowercase, without
+// the "#"), so #Café, #CAFÉ and #café are the same tag.
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_POST = 30;
+
+// A "#" not preceded by a word character (so "a#b" and "&#39;" don't
+// count), then letters (with combining marks), digits or underscores
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{M}\p{N}_&])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+// Normalize a tag, returning null if it isn't a valid hashtag. Tags need
+// at least one letter, so "#1" isn't one.
+export const normalizeTag = (value) => {
+  const tag = String(value || "")
+    .replace(/^#/, "")
+    .normalize("NFKC")
+    .toLowerCase();
+
+  if (
+    tag.length === 0 ||
+    tag.length > MAX_TAG_LENGTH ||
+    !/^[\p{L}\p{M}\p{N}_]+$/u.test(tag) ||
+    !/\p{L}/u.test(tag)
+  ) {
+    return null;
+  }
+  return tag;
+};
+
+// Extract the distinct hashtags from a text, in order of first use
+export const extractHashtags = (text) => {
+  const tags = new Set();
+
+  for (const match of String(text || "").matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeTag(match[2]);
+    if (tag) tags.add(tag);
+    if (tags.size === MAX_TAGS_PER_POST) break;
+  }
+
+  return [...tags];
+};
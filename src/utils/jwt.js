@@ -1,9 +1,10 @@
 import jwt from "jsonwebtoken";
+import { HttpError } from "./httpError.js";
 
-// Generate JWT token
+// Generate a short-lived JWT access token
 export const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
   });
 };
 
@@ -15,3 +16,26 @@ export const verifyToken = (token) => {
     throw new Error("Invalid or expired token");
   }
 };
+
+// Generate a short-lived token proving the password step of a 2FA login.
+// The nonce (jti) is also stored on the user so the token works only once.
+export const generateChallengeToken = (userId, nonce) => {
+  return jwt.sign(
+    { id: userId, purpose: "2fa", jti: nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+// Verify a 2FA challenge token and return the user id and nonce
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== "2fa" || !decoded.jti) {
+      throw new Error("Wrong token purpose");
+    }
+    return { userId: decoded.id, nonce: decoded.jti };
+  } catch (error) {
+    throw new HttpError(401, "Invalid or expired challenge token");
+  }
+};
@@ -0,0 +1,39 @@
+// @mention parsing. Usernames are 3-30 lowercase letters, digits or
+// underscores; mentions match case-insensitively.
+
+export const USERNAME_PATTERN = /^[a-z0-9_]{3,30}$/;
+
+const MAX_MENTIONS = 50;
+
+// An "@" not preceded by a word character or "." (so email addresses
+// don't count), then a username-like run of characters
+const MENTION_PATTERN =
+  /(^|[^\p{L}\p{M}\p{N}_.@])@([A-Za-z0-9_]{3,30})(?![A-Za-z0-9_])/gu;
+
+// Find @mentions in a text. start/end are string offsets (UTF-16 code
+// units, like String.prototype.slice) of the whole "@handle".
+export const findMentions = (text) => {
+  const mentions = [];
+
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    mentions.push({
+      username: match[2].toLowerCase(),
+      start,
+      end: start + match[2].length + 1,
+    });
+    if (mentions.length === MAX_MENTIONS) break;
+  }
+
+  return mentions;
+};
+
+// Turn a name into a username candidate: ASCII letters, digits and
+// underscores only, e.g. "Zoë O'Brien" -> "zoeobrien"
+export const slugifyUsername = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, "")
+    .slice(0, 20);
@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+import { HttpError } from "./httpError.js";
+
+// Opaque cursor pagination keyed on (createdAt, _id). Unlike skip/limit,
+// pages stay stable when new documents arrive and deep pages stay fast.
+// Lists ordered by another timestamp pass its name as `field`.
+
+// Parse and clamp a ?limit= query value
+export const parseLimit = (value, { defaultLimit = 10, max = 50 } = {}) => {
+  const limit = parseInt(value) || defaultLimit;
+  return Math.min(Math.max(limit, 1), max);
+};
+
+// Encode the position of a document as an opaque cursor
+export const encodeCursor = (doc, field = "createdAt") => {
+  return Buffer.from(
+    JSON.stringify([new Date(doc[field]).getTime(), doc._id.toString()])
+  ).toString("base64url");
+};
+
+// Decode a cursor, rejecting anything malformed with a 400
+export const decodeCursor = (cursor) => {
+  try {
+    const [time, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString()
+    );
+    if (!Number.isFinite(time) || !mongoose.isValidObjectId(id)) {
+      throw new Error("Malformed cursor");
+    }
+    return { createdAt: new Date(time), _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+};
+
+// Sort matching the cursor key; -1 is newest first
+export const cursorSort = (direction = -1, field = "createdAt") => ({
+  [field]: direction,
+  _id: direction,
+});
+
+// Filter selecting documents after the cursor in the given direction
+export const cursorFilter = (cursor, direction = -1, field = "createdAt") => {
+  if (!cursor) return {};
+
+  const { createdAt, _id } = decodeCursor(cursor);
+  const op = direction === -1 ? "$lt" : "$gt";
+
+  return {
+    $or: [
+      { [field]: { [op]: createdAt } },
+      { [field]: createdAt, _id: { [op]: _id } },
+    ],
+  };
+};
+
+// Build a page from a query that fetched limit + 1 documents
+export const buildPage = (docs, limit, field = "createdAt") => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null,
+    hasMore,
+  };
+};
+
+// Relevance-ranked results (text search) page on (score, _id) instead,
+// best match first. Documents need a numeric `score` field.
+
+// Encode the position of a scored document as an opaque cursor
+export const encodeScoreCursor = (doc) =>
+  Buffer.from(JSON.stringify([doc.score, doc._id.toString()])).toString(
+    "base64url"
+  );
+
+// Filter selecting scored documents after the cursor, rejecting anything
+// malformed with a 400
+export const scoreCursorFilter = (cursor) => {
+  if (!cursor) return {};
+
+  let score;
+  let id;
+  try {
+    [score, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString()
+    );
+  } catch (error) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+  if (!Number.isFinite(score) || !mongoose.isValidObjectId(id)) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+
+  const _id = new mongoose.Types.ObjectId(id);
+  return {
+    $or: [{ score: { $lt: score } }, { score, _id: { $lt: _id } }],
+  };
+};
+
+// Build a page of scored documents from a query that fetched limit + 1
+export const buildScorePage = (docs, limit) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeScoreCursor(items[items.length - 1]) : null,
+    hasMore,
+  };
+};
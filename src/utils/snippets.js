@@ -0,0 +1,55 @@
+// Search result snippets: a short excerpt around the first match, with
+// the matched words marked as { start, end } offsets into the excerpt
+// (UTF-16, as in String.prototype.slice).
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}_]+/gu;
+
+// The words of a $text search string, ignoring negated terms and the
+// quotes around phrases
+export const parseSearchTerms = (query) =>
+  String(query || "")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .flatMap((term) => term.toLowerCase().match(WORD_PATTERN) || []);
+
+// MongoDB matches stemmed words ("running" finds "run"), so highlight any
+// word sharing a prefix of at least 3 letters with a term
+const matchesTerm = (word, term) => {
+  const shorter = Math.min(word.length, term.length);
+  if (shorter < 3) return word === term;
+  return word.slice(0, shorter) === term.slice(0, shorter);
+};
+
+// Build { text, highlights } for a document's text and the search terms
+export const buildSnippet = (text, terms, { length = 160 } = {}) => {
+  const source = String(text || "");
+  const matches = [];
+
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (terms.some((term) => matchesTerm(word, term))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Start the excerpt a little before the first match
+  let from = 0;
+  if (matches.length && source.length > length) {
+    from = Math.max(0, Math.min(matches[0].start - 40, source.length - length));
+  }
+  const to = Math.min(source.length, from + length);
+
+  const prefix = from > 0 ? "…" : "";
+  const suffix = to < source.length ? "…" : "";
+  const offset = prefix.length - from;
+
+  return {
+    text: `${prefix}${source.slice(from, to)}${suffix}`,
+    highlights: matches
+      .filter((range) => range.start >= from && range.end <= to)
+      .map((range) => ({
+        start: range.start + offset,
+        end: range.end + offset,
+      })),
+  };
+};
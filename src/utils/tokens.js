@@ -0,0 +1,11 @@
+import crypto from "crypto";
+
+// Generate a URL-safe random token (refresh, reset and verification tokens)
+export const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString("base64url");
+};
+
+// Hash a token before persisting it, so a database leak does not leak usable tokens
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};